@@ -0,0 +1,63 @@
+// backtest.js — offline replay of the prediction model over stored fixtures.
+//   node backtest.js --from 2024-08-01 --to 2025-05-30 --league PL [--dir data/history]
+//   [--tau 1.25] [--tilt 220] [--edge-min 0.08] [--score-model dixon-coles] [--margin 0.05]
+//   [--ratings data/ratings.json] [--leagues data/leagues.json] [--json]
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { canonicalKey } from './lib/teams.js';
+import { loadRatings } from './lib/ratings.js';
+import { MODEL_PARAMS, initModel } from './lib/model.js';
+import { SCORE_MODELS } from './lib/scoreline.js';
+import { loadHistory, runBacktest } from './lib/backtest.js';
+import { loadLeagues } from './lib/leagues.js';
+
+const { values: a } = parseArgs({ options: {
+  from: { type: 'string' }, to: { type: 'string' }, league: { type: 'string' },
+  dir: { type: 'string', default: fileURLToPath(new URL('./data/history', import.meta.url)) },
+  tau: { type: 'string' }, tilt: { type: 'string' }, 'edge-min': { type: 'string' },
+  margin: { type: 'string', default: '0.05' }, 'elo-k': { type: 'string', default: '20' },
+  'score-model': { type: 'string' }, ratings: { type: 'string' }, json: { type: 'boolean', default: false },
+  leagues: { type: 'string', default: fileURLToPath(new URL('./data/leagues.json', import.meta.url)) },
+} });
+
+const num = (v, d) => v == null ? d : parseFloat(v);
+initModel();
+const params = {
+  ...MODEL_PARAMS,
+  tau1x2: num(a.tau, MODEL_PARAMS.tau1x2),
+  strongDiffTilt: num(a.tilt, MODEL_PARAMS.strongDiffTilt),
+  edgeMin: num(a['edge-min'], MODEL_PARAMS.edgeMin),
+  scoreModel: a['score-model'] || MODEL_PARAMS.scoreModel,
+};
+if (!SCORE_MODELS.includes(params.scoreModel)) { console.error(`--score-model must be one of ${SCORE_MODELS.join(', ')}`); process.exit(1); }
+
+const matches = await loadHistory(a.dir).catch(e => {
+  console.error(`Cannot read history from ${a.dir}: ${e.message}`);
+  process.exit(1);
+});
+// Starting from today's ratings file leaks future results into the past; default is seeds only.
+const ratings = a.ratings ? await loadRatings(a.ratings, canonicalKey) : null;
+// Per-league base rates and home advantage, as the server uses them; --leagues '' for global params only.
+const leagues = a.leagues ? await loadLeagues(a.leagues) : null;
+const r = runBacktest(matches, { from: a.from, to: a.to, league: a.league, params, leagues, ratings, margin: num(a.margin), eloK: num(a['elo-k']) });
+
+if (a.json) {
+  console.log(JSON.stringify({ ...r, picks: undefined }, null, 2));
+} else {
+  const pct = x => x == null ? '–' : (x*100).toFixed(1) + '%';
+  const f3 = x => x == null ? '–' : x.toFixed(3);
+  console.log(`Backtest ${a.league || 'all leagues'} ${a.from || '…'} → ${a.to || '…'}: ${r.matches} matches (${matches.length} loaded from ${a.dir})`);
+  console.log(`Params: tau=${params.tau1x2} tilt=${params.strongDiffTilt} edgeMin=${params.edgeMin} scoreModel=${params.scoreModel}`);
+  console.log('\nPrimary pick           n      hit     avgP   Brier  logLoss');
+  for (const [m, s] of [['All markets', r.primary.overall], ...Object.entries(r.primary.markets)]){
+    console.log(`${m.padEnd(20)} ${String(s.n).padStart(4)}  ${pct(s.hitRate).padStart(7)}  ${pct(s.avgProb).padStart(7)}  ${f3(s.brier).padStart(6)}  ${f3(s.logLoss).padStart(7)}`);
+  }
+  console.log('\nCalibration (quoted → observed)');
+  for (const b of r.primary.calibration) console.log(`  ${pct(b.from)}–${pct(b.to)}  n=${String(b.n).padStart(4)}  ${pct(b.predicted)} → ${pct(b.observed)}`);
+  console.log(`\nSimulated ROI, 1 unit per primary pick (assumed margin ${r.roi.margin} where no odds):`);
+  for (const [k, s] of Object.entries(r.roi)){
+    if (k === 'margin') continue;
+    console.log(`  ${k.padEnd(8)} bets=${s.bets} withOdds=${s.withOdds} profit=${s.profit} ROI=${pct(s.roi)}`);
+  }
+}
@@ -0,0 +1,67 @@
+// fit.js — fit model calibration constants to stored history and write data/model-config.json.
+//   node fit.js --from 2023-08-01 --to 2025-05-30 [--test-from 2025-01-01] [--league PL]
+//   [--dir data/history] [--leagues data/leagues.json] [--score-model dixon-coles] [--passes 2] [--out data/model-config.json] [--dry-run]
+import 'dotenv/config';
+import fs from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { MODEL_PARAMS, MODEL_CONFIG_FILE, initModel } from './lib/model.js';
+import { SCORE_MODELS } from './lib/scoreline.js';
+import { loadHistory } from './lib/backtest.js';
+import { CONFIG_VERSION, fitParams, logLoss1X2 } from './lib/fit.js';
+import { loadLeagues } from './lib/leagues.js';
+
+const { values: a } = parseArgs({ options: {
+  from: { type: 'string' }, to: { type: 'string' }, 'test-from': { type: 'string' }, league: { type: 'string' },
+  dir: { type: 'string', default: fileURLToPath(new URL('./data/history', import.meta.url)) },
+  'score-model': { type: 'string' }, passes: { type: 'string', default: '2' }, out: { type: 'string', default: MODEL_CONFIG_FILE },
+  'dry-run': { type: 'boolean', default: false },
+  leagues: { type: 'string', default: fileURLToPath(new URL('./data/leagues.json', import.meta.url)) },
+} });
+
+const matches = await loadHistory(a.dir).catch(e => {
+  console.error(`Cannot read history from ${a.dir}: ${e.message}`);
+  process.exit(1);
+});
+const testFrom = a['test-from'];
+const trainTo = testFrom ? new Date(Date.parse(testFrom) - 24*3600*1000).toISOString().slice(0,10) : a.to;
+const leagues = a.leagues ? await loadLeagues(a.leagues) : null;
+const train = { from: a.from, to: trainTo, league: a.league, leagues };
+const test = testFrom ? { from: testFrom, to: a.to, league: a.league, leagues } : null;
+
+initModel();
+const base = { ...MODEL_PARAMS, ...(a['score-model'] ? { scoreModel: a['score-model'] } : {}) };
+if (!SCORE_MODELS.includes(base.scoreModel)) { console.error(`--score-model must be one of ${SCORE_MODELS.join(', ')}`); process.exit(1); }
+const n = logLoss1X2(matches, base, train).n;
+if (!n) { console.error('No finished matches in the training window.'); process.exit(1); }
+console.log(`Fitting on ${n} matches (${train.from || '…'} → ${train.to || '…'}${a.league ? ', ' + a.league : ''})`);
+
+const fit = fitParams(matches, { ...train, params: base, passes: parseInt(a.passes, 10),
+  onStep: s => console.log(`  pass ${s.pass} ${s.name.padEnd(15)} ${JSON.stringify(s.from)} → ${JSON.stringify(s.to)}  logLoss=${s.logLoss.toFixed(5)}`) });
+if (fit.skipped.length) console.log(`Not fitted (set per league in ${a.leagues}): ${fit.skipped.join(', ')}`);
+
+const logLoss = { train: { n, before: +fit.before.toFixed(5), after: +fit.after.toFixed(5) } };
+if (test) {
+  const b = logLoss1X2(matches, base, test), f = logLoss1X2(matches, fit.params, test);
+  logLoss.test = { n: b.n, before: b.logLoss == null ? null : +b.logLoss.toFixed(5), after: f.logLoss == null ? null : +f.logLoss.toFixed(5) };
+}
+
+console.log(`\n1X2 log loss (train): ${logLoss.train.before} → ${logLoss.train.after}`);
+if (logLoss.test) console.log(`1X2 log loss (test, n=${logLoss.test.n}): ${logLoss.test.before} → ${logLoss.test.after}`);
+console.log('\nParameter        before → after          gain     ablation');
+for (const i of fit.improvements){
+  console.log(`${i.param.padEnd(16)} ${String(i.before).padStart(7)} → ${String(i.after).padEnd(9)} ${i.gain.toFixed(5).padStart(9)}  ${i.ablation.toFixed(5).padStart(9)}`);
+}
+
+if (a['dry-run']) process.exit(0);
+let revision = 0;
+try { revision = JSON.parse(await fs.readFile(a.out, 'utf8')).revision || 0; } catch {}
+const config = {
+  version: CONFIG_VERSION, revision: revision + 1, fittedAt: new Date().toISOString(), objective: '1x2-log-loss',
+  data: { league: a.league || null, from: train.from || null, to: train.to || null, testFrom: testFrom || null },
+  logLoss, params: { ...(a['score-model'] ? { scoreModel: base.scoreModel } : {}), ...fit.fitted }, improvements: fit.improvements,
+};
+const tmp = `${a.out}.${process.pid}.tmp`;
+await fs.writeFile(tmp, JSON.stringify(config, null, 2) + '\n');
+await fs.rename(tmp, a.out);
+console.log(`\nWrote revision ${config.revision} to ${a.out}`);
@@ -0,0 +1,5 @@
+// index.js — entry point: `npm start` / `node index.js`. server.js only exports the app and
+// start(), so tests and tools can import it without a listening server or cron jobs.
+import { start } from './server.js';
+
+start();
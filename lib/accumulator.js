@@ -0,0 +1,64 @@
+// lib/accumulator.js — accumulator pricing and an auto-builder. Legs on the same match are
+// settled together on that match's scoreline matrix, so "1 + Over 2.5" keeps its correlation;
+// different matches are independent. Pushed legs settle at 1.00 as bookmakers do, so each leg
+// is valued at its fair single price: per scoreline it returns w + p·prob of that price, and
+// the combination's prob is the expected product — Π prob for independent legs.
+import { selectionSettle, priceSelection } from './markets.js';
+
+// legs: [{ matchId, market, label }]; matrixFor(matchId) -> scoreline matrix, or null when the
+// match is unknown. Throws on an unknown match or selection.
+export function priceAccumulator(legs, matrixFor){
+  if (!Array.isArray(legs) || !legs.length) throw new Error('legs must be a non-empty array of { matchId, market, label }');
+  const groups = new Map();
+  const priced = legs.map(l => {
+    const settle = selectionSettle(l.market, l.label);
+    if (!settle) throw new Error(`unknown selection ${l.market}: ${l.label}`);
+    const key = String(l.matchId);
+    if (!groups.has(key)) {
+      const matrix = matrixFor(l.matchId);
+      if (!matrix) throw new Error(`match ${l.matchId} is not available for pricing`);
+      groups.set(key, { matrix, settles: [] });
+    }
+    const g = groups.get(key);
+    const prob = priceSelection(g.matrix, settle).prob;
+    g.settles.push({ settle, prob });
+    return { matchId: l.matchId, market: l.market, label: l.label, prob };
+  });
+
+  let prob = 1;
+  for (const { matrix, settles } of groups.values()){
+    let e = 0;
+    matrix.forEach((row, i) => row.forEach((q, j) => {
+      let f = 1;
+      for (const s of settles) { const r = s.settle(i, j); f *= r.w + r.p * s.prob; }
+      e += q * f;
+    }));
+    prob *= e;
+  }
+  const naive = priced.reduce((p, l) => p * l.prob, 1);
+  return { legs: priced, matches: groups.size, prob, fairOdds: prob ? 1 / prob : null,
+    naiveProb: naive, correlation: naive ? prob / naive : null };
+}
+
+function* combinations(list, k, start = 0, acc = []){
+  if (acc.length === k) { yield acc; return; }
+  for (let i = start; i < list.length; i++) yield* combinations(list, k, i + 1, [...acc, list[i]]);
+}
+
+// candidates: [{ matchId, market, label, prob, base }] (several per match allowed). Proposes
+// combos of one leg per match with prob >= minProb, best first by how much likelier they are
+// than the same combo on average fixtures (prob / Π base), then by prob.
+export function buildAccumulators(candidates, matrixFor, { minProb = 0.3, minLegs = 2, maxLegs = 4, limit = 10, pool = 12 } = {}){
+  const legs = [...candidates].sort((a, b) => b.prob - a.prob).slice(0, pool);
+  const out = [];
+  for (let k = minLegs; k <= maxLegs; k++){
+    for (const combo of combinations(legs, k)){
+      if (new Set(combo.map(l => String(l.matchId))).size < k) continue;
+      const acc = priceAccumulator(combo, matrixFor);
+      if (acc.prob < minProb) continue;
+      const base = combo.reduce((p, l) => p * (l.base || 1), 1);
+      out.push({ ...acc, baseProb: base, lift: acc.prob / base });
+    }
+  }
+  return out.sort((a, b) => b.lift - a.lift || b.prob - a.prob).slice(0, limit);
+}
@@ -0,0 +1,90 @@
+// lib/admin.js — admin auth and the editorial overrides applied to published rows:
+// excluded leagues, hidden / pinned picks and public editor notes.
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+
+// ---------- Auth
+// ADMIN_TOKEN as a Bearer token or as the basic-auth password (any user name), or an
+// ADMIN_USER / ADMIN_PASSWORD pair. With neither configured the admin area does not exist.
+const digest = s => crypto.createHash('sha256').update(String(s)).digest();
+const safeEqual = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+export function adminEnabled({ token, user, password } = {}){ return !!(token || (user && password)); }
+
+export function checkAdmin(header = '', { token, user, password } = {}){
+  const [scheme, value = ''] = String(header).split(' ');
+  if (/^bearer$/i.test(scheme)) return !!token && safeEqual(value, token);
+  if (!/^basic$/i.test(scheme)) return false;
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  const i = decoded.indexOf(':');
+  if (i < 0) return false;
+  const u = decoded.slice(0, i), p = decoded.slice(i + 1);
+  if (token && safeEqual(p, token)) return true;
+  return !!(user && password) && safeEqual(u, user) && safeEqual(p, password);
+}
+
+export function requireAdmin(creds){
+  return (req, res, next) => {
+    if (!adminEnabled(creds)) return res.status(404).send('Not found');
+    if (checkAdmin(req.headers.authorization, creds)) return next();
+    res.set('WWW-Authenticate', 'Basic realm="BetEstimate admin", charset="UTF-8"');
+    res.status(401).json({ error: 'admin credentials required' });
+  };
+}
+
+// ---------- Overrides
+// leagues: excluded competitions, matched against id, code or label (case-insensitive).
+// picks: matchId -> { hidden, pinned, note, updatedAt }
+export function createOverrides({ file = null, leagues = [], picks = {} } = {}){
+  return { file, leagues: [...leagues], picks: { ...picks } };
+}
+
+export async function loadOverrides(file){
+  let json = {};
+  try { json = JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[admin] overrides load failed', e.message); }
+  return createOverrides({ file, leagues: json.leagues || [], picks: json.picks || {} });
+}
+
+export async function saveOverrides(store){
+  const tmp = `${store.file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, leagues: store.leagues, picks: store.picks }, null, 2) + '\n');
+  await fs.rename(tmp, store.file);
+}
+
+export function leagueExcluded(store, row){
+  const ids = [row.compId, row.compCode, row.league].filter(Boolean).map(x => String(x).toLowerCase());
+  return store.leagues.some(l => ids.includes(String(l).toLowerCase()));
+}
+
+export function setLeagueFilter(store, league, excluded){
+  const l = String(league).trim();
+  const rest = store.leagues.filter(x => x.toLowerCase() !== l.toLowerCase());
+  store.leagues = excluded ? [...rest, l] : rest;
+  return store.leagues;
+}
+
+export function setPickOverride(store, matchId, { hidden, pinned, note } = {}){
+  const cur = { ...(store.picks[matchId] || {}) };
+  if (hidden !== undefined) cur.hidden = !!hidden;
+  if (pinned !== undefined) cur.pinned = !!pinned;
+  if (note !== undefined) cur.note = String(note).trim().slice(0, 500);
+  for (const k of ['hidden', 'pinned', 'note']) if (!cur[k]) delete cur[k];
+  if (!Object.keys(cur).some(k => k !== 'updatedAt')) { delete store.picks[matchId]; return null; }
+  cur.updatedAt = new Date().toISOString();
+  return store.picks[matchId] = cur;
+}
+
+export function pickOverride(store, matchId){ return matchId == null ? null : store.picks[matchId] || null; }
+
+// Rows as the public sees them: excluded leagues and hidden picks dropped, pinned rows
+// first (kickoff order kept within each group), editor notes attached.
+export function publishRows(store, rows = []){
+  const out = [];
+  for (const r of rows){
+    const o = pickOverride(store, r.matchId);
+    if (o?.hidden || leagueExcluded(store, r)) continue;
+    out.push(o ? { ...r, pinned: !!o.pinned, editorNote: o.note || null } : r);
+  }
+  return out.filter(r => r.pinned).concat(out.filter(r => !r.pinned));
+}
@@ -0,0 +1,158 @@
+// lib/backtest.js — replay the model over stored football-data.org v4 matches (no network)
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { canonicalKey } from './teams.js';
+import { createRatings, applyResults } from './ratings.js';
+import { leagueParams } from './leagues.js';
+import { fitStrengths, strengthGoals } from './strength.js';
+import { matchContext } from './context.js';
+import { MODEL_PARAMS, SEED_ELO, leagueLabel, formStatsAdvanced, expectedGoalsAdvanced, chooseStrongest } from './model.js';
+import { settleSelection, pickProfit } from './markets.js';
+import { performanceReport } from './metrics.js';
+
+const FORM_WINDOW_DAYS = 60;
+const FORM_GAMES = 5;
+
+// Accepts /v4/matches and /v4/competitions/{id}/matches payloads, or a bare array.
+export async function loadHistory(dir){
+  const byId = new Map();
+  const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json')).sort();
+  for (const f of files){
+    const json = JSON.parse(await fs.readFile(path.join(dir, f), 'utf8'));
+    const arr = Array.isArray(json) ? json : (json.matches || []);
+    for (const m of arr){
+      if (m?.id == null) continue;
+      if (!m.competition && json.competition) m.competition = json.competition;
+      byId.set(m.id, m);
+    }
+  }
+  return [...byId.values()].sort((a,b)=> (a.utcDate||'').localeCompare(b.utcDate||''));
+}
+
+export function matchesLeague(m, league){
+  if (!league) return true;
+  const l = String(league).toLowerCase();
+  return String(m.competition?.id) === l || (m.competition?.code || '').toLowerCase() === l;
+}
+
+const fullTime = m => {
+  const ft = m.score?.fullTime || {};
+  return (ft.home == null || ft.away == null) ? null : ft;
+};
+
+function standingsPack(rows){
+  const table = [...rows.values()].sort((a,b)=> b.pts - a.pts || (b.gf-b.ga) - (a.gf-a.ga) || b.gf - a.gf);
+  const map = new Map();
+  table.forEach((r, i) => { r.position = i + 1; map.set(r.team.id, r.position); });
+  return { table, map, size: table.length || 20 };
+}
+
+// Strength fits depend only on the history and two params, so repeated replays (fit.js) share them.
+const STRENGTH_MEMO = new WeakMap();
+function strengthsFor(matches, compId, day, games, params){
+  if (!STRENGTH_MEMO.has(matches)) STRENGTH_MEMO.set(matches, new Map());
+  const memo = STRENGTH_MEMO.get(matches);
+  const key = `${compId}|${day}|${params.strengthHalfLife}|${params.strengthPrior}`;
+  if (!memo.has(key)) memo.set(key, fitStrengths(games, { asOf: Date.parse(`${day}T00:00:00Z`),
+    halfLifeDays: params.strengthHalfLife, priorGames: params.strengthPrior }));
+  return memo.get(key);
+}
+
+// Walks the history day by day: predict every match of the day first, then feed its
+// results into standings, team histories and Elo, so no prediction sees its own result.
+export function* replay(matches, { from, to, league, params = MODEL_PARAMS, leagues = null, ratings = null, eloK = 20 } = {}){
+  const elo = ratings || createRatings(canonicalKey);
+  const initial = name => SEED_ELO[canonicalKey(name)] ?? 1500;
+  const tables = new Map();   // compId -> Map(teamId -> row)
+  const history = new Map();  // teamId -> finished matches, oldest first
+  const compGames = new Map(); // compId -> finished matches, oldest first
+  const days = new Map();
+  for (const m of matches){
+    const d = (m.utcDate || '').slice(0,10);
+    if (!days.has(d)) days.set(d, []);
+    days.get(d).push(m);
+  }
+  for (const [day, list] of [...days.entries()].sort((a,b)=> a[0].localeCompare(b[0]))){
+    if (to && day > to) break;
+    const played = list.filter(m => fullTime(m) && m.status !== 'CANCELLED');
+    if (!from || day >= from) {
+      for (const m of played){
+        if (!matchesLeague(m, league)) continue;
+        const compId = m.competition?.id;
+        const pack = standingsPack(tables.get(compId) || new Map());
+        const before = Date.parse(m.utcDate);
+        const lastLeague = teamId => (history.get(teamId) || [])
+          .filter(x => x.competition?.id === compId && before - Date.parse(x.utcDate) <= FORM_WINDOW_DAYS*24*3600*1000)
+          .slice(-FORM_GAMES).reverse();
+        const homeForm = formStatsAdvanced(m.homeTeam?.id, lastLeague(m.homeTeam?.id), pack, params);
+        const awayForm = formStatsAdvanced(m.awayTeam?.id, lastLeague(m.awayTeam?.id), pack, params);
+        const p = leagueParams(leagues, m.competition, params);
+        const model = strengthsFor(matches, compId, day, compGames.get(compId) || [], p);
+        const strength = strengthGoals(model, m.homeTeam?.id, m.awayTeam?.id);
+        const homeAll = history.get(m.homeTeam?.id) || [];
+        const context = matchContext(m, { homeMatches: homeAll, awayMatches: history.get(m.awayTeam?.id) || [], h2hMatches: homeAll }, p);
+        const eg = expectedGoalsAdvanced(m.homeTeam?.name || '', m.awayTeam?.name || '', leagueLabel(m), homeForm, awayForm, { ratings: elo, params: p, strength, context });
+        const choice = chooseStrongest(eg.lh, eg.la, p, eg.baseline);
+        yield { match: m, score: fullTime(m), homeForm, awayForm, eg, strength, choice, params: p };
+      }
+    }
+    for (const m of played){
+      const ft = fullTime(m);
+      const compId = m.competition?.id;
+      if (!tables.has(compId)) tables.set(compId, new Map());
+      const t = tables.get(compId);
+      if (!compGames.has(compId)) compGames.set(compId, []);
+      compGames.get(compId).push(m);
+      for (const [team, gf, ga] of [[m.homeTeam, ft.home, ft.away], [m.awayTeam, ft.away, ft.home]]){
+        if (team?.id == null) continue;
+        const row = t.get(team.id) || { team: { id: team.id, name: team.name }, played: 0, pts: 0, gf: 0, ga: 0 };
+        row.played += 1; row.gf += gf; row.ga += ga; row.pts += gf > ga ? 3 : gf === ga ? 1 : 0;
+        t.set(team.id, row);
+        if (!history.has(team.id)) history.set(team.id, []);
+        history.get(team.id).push(m);
+      }
+    }
+    applyResults(elo, played, { k: eloK, homeAdv: params.homeElo, initial });
+  }
+}
+
+// Quoted price for a pick: bookmaker 1X2 odds when the match carries them, otherwise
+// the selection's league-average fair price with a typical margin.
+function priceFor(m, pick, margin){
+  const o = m.odds || {};
+  const real = pick.market === '1X2' ? { '1': o.homeWin, 'X': o.draw, '2': o.awayWin }[pick.label] : null;
+  if (typeof real === 'number' && real > 1) return { price: real, real: true };
+  return { price: 1 / (pick.base * (1 + margin)), real: false };
+}
+
+function roi(bets){
+  const staked = bets.length;
+  const profit = bets.reduce((s, b) => s + pickProfit(b.result, b.price), 0);
+  return { bets: staked, withOdds: bets.filter(b => b.real).length, profit: +profit.toFixed(2), roi: staked ? +(profit / staked).toFixed(4) : null };
+}
+
+export function runBacktest(matches, opts = {}){
+  const params = opts.params || MODEL_PARAMS;
+  const margin = opts.margin ?? 0.05;
+  const picks = [];
+  const bets = [];
+  for (const { match: m, score, choice } of replay(matches, { ...opts, params })){
+    for (const [rank, c] of [['primary', choice.top], ['alt', choice.second]]){
+      const p = {
+        matchId: m.id, date: m.utcDate.slice(0,10), league: leagueLabel(m), compId: m.competition?.id, rank,
+        market: c.market, label: c.label, prob: c.prob, edge: c.edge,
+        result: settleSelection(c.market, c.label, score.home, score.away)
+      };
+      picks.push(p);
+      if (rank === 'primary') bets.push({ ...p, ...priceFor(m, c, margin) });
+    }
+  }
+  const report = performanceReport(picks, { rank: 'primary' });
+  return {
+    params, matches: bets.length,
+    primary: { overall: report.overall, markets: report.markets, calibration: report.calibration },
+    alt: performanceReport(picks, { rank: 'alt' }).markets,
+    roi: { all: roi(bets), edgeMin: roi(bets.filter(b => b.edge >= params.edgeMin)), margin },
+    picks
+  };
+}
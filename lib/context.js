@@ -0,0 +1,51 @@
+// lib/context.js — match-context adjustments applied on top of the model λ: rest days and
+// fixture congestion from each team's full match list (all competitions), and a bounded
+// head-to-head nudge. Every factor is returned so the breakdown can show what moved λ.
+const DAY = 24*3600*1000;
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+const involves = (m, id) => m.homeTeam?.id === id || m.awayTeam?.id === id;
+const finishedBefore = (m, t) => m.status === 'FINISHED' && m.score?.fullTime?.home != null && Date.parse(m.utcDate) < t;
+
+// factor < 1 for a side on short rest or in a congested run; 1 when fresh or unknown.
+export function scheduleContext(teamId, matches, kickoffIso, params){
+  const t = Date.parse(kickoffIso);
+  const before = (matches || []).filter(m => involves(m, teamId) && finishedBefore(m, t));
+  const last = Math.max(...before.map(m => Date.parse(m.utcDate)));
+  const restDays = before.length ? (t - last) / DAY : null;
+  const recent = before.filter(m => t - Date.parse(m.utcDate) <= params.congestionDays * DAY).length;
+  const rest = restDays == null ? 1 : 1 - params.restPenalty * Math.max(0, params.restFull - restDays);
+  const congestion = 1 - params.congestionPenalty * Math.max(0, recent - params.congestionGames);
+  return { restDays: restDays == null ? null : +restDays.toFixed(1), recent, rest: +rest.toFixed(3), congestion: +congestion.toFixed(3),
+    factor: +clamp(rest * congestion, 0.85, 1).toFixed(3) };
+}
+
+// Mean goal difference of recent meetings from the home side's point of view, shrunk by
+// h2hPrior meetings and capped at ±h2hMax, whoever was at home at the time.
+export function headToHead(homeId, awayId, matches, kickoffIso, params, { limit = 6, years = 4 } = {}){
+  const t = Date.parse(kickoffIso);
+  const meetings = (matches || [])
+    .filter(m => involves(m, homeId) && involves(m, awayId) && finishedBefore(m, t) && t - Date.parse(m.utcDate) <= years * 365 * DAY)
+    .sort((a, b) => b.utcDate.localeCompare(a.utcDate)).slice(0, limit);
+  const n = meetings.length;
+  const gd = n ? meetings.reduce((s, m) => {
+    const ft = m.score.fullTime;
+    return s + (m.homeTeam.id === homeId ? ft.home - ft.away : ft.away - ft.home);
+  }, 0) / n : 0;
+  const adj = clamp(params.h2hWeight * gd * n / (n + params.h2hPrior), -params.h2hMax, params.h2hMax);
+  return { meetings: n, goalDiff: +gd.toFixed(2), factor: +(1 + adj).toFixed(3) };
+}
+
+// A tired side scores less and concedes a little more; head-to-head shifts goals between the sides.
+export function applyContext(lh, la, { home, away, h2h }){
+  return {
+    lh: lh * home.factor / Math.sqrt(away.factor) * h2h.factor,
+    la: la * away.factor / Math.sqrt(home.factor) / h2h.factor,
+  };
+}
+
+export function matchContext(m, { homeMatches = [], awayMatches = [], h2hMatches = [] }, params){
+  const home = scheduleContext(m.homeTeam?.id, homeMatches, m.utcDate, params);
+  const away = scheduleContext(m.awayTeam?.id, awayMatches, m.utcDate, params);
+  const h2h = headToHead(m.homeTeam?.id, m.awayTeam?.id, h2hMatches, m.utcDate, params);
+  return { home, away, h2h };
+}
@@ -0,0 +1,124 @@
+// lib/fdclient.js — football-data.org HTTP client: token-bucket queue, 429/5xx retry with backoff,
+// in-flight de-duplication and an on-disk response cache with per-call TTL.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+const RETRY_STATUS = new Set([429, 500, 502, 503, 504]);
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export function createFootballDataClient({
+  token = '', baseUrl = 'https://api.football-data.org/v4', ratePerMinute = 10,
+  cacheDir = null, maxRetries = 4, fetchImpl = (...a) => fetch(...a)
+} = {}){
+  const headers = { 'X-Auth-Token': token, 'accept': 'application/json' };
+  const stats = { requests: 0, retries: 0, cacheHits: 0, deduped: 0, failures: 0, availableMinute: null, queued: 0 };
+  const inflight = new Map();
+
+  // ---------- Token bucket (FIFO: each caller chains onto the previous one)
+  let tokens = ratePerMinute, last = Date.now(), blockedUntil = 0, queue = Promise.resolve();
+  function refill(){
+    const now = Date.now();
+    tokens = Math.min(ratePerMinute, tokens + (now - last) * ratePerMinute / 60000);
+    last = now;
+  }
+  async function waitTurn(){
+    for (;;){
+      refill();
+      const now = Date.now();
+      if (now < blockedUntil) { await sleep(blockedUntil - now); continue; }
+      if (tokens >= 1) { tokens -= 1; return; }
+      await sleep(Math.ceil((1 - tokens) * 60000 / ratePerMinute));
+    }
+  }
+  function takeToken(){
+    stats.queued += 1;
+    const turn = queue.then(waitTurn);
+    queue = turn.catch(() => {});
+    return turn.finally(() => { stats.queued -= 1; });
+  }
+  // The server's own counters win over our estimate.
+  function syncLimits(res){
+    const avail = res.headers.get('x-requests-available-minute');
+    const reset = parseFloat(res.headers.get('x-requestcounter-reset') || res.headers.get('retry-after') || '');
+    if (avail != null && avail !== '') {
+      stats.availableMinute = +avail;
+      tokens = Math.min(tokens, +avail);
+      if (+avail <= 0) blockedUntil = Math.max(blockedUntil, Date.now() + (Number.isFinite(reset) ? reset : 60) * 1000);
+    }
+    if (res.status === 429) blockedUntil = Math.max(blockedUntil, Date.now() + (Number.isFinite(reset) ? reset : 60) * 1000);
+  }
+
+  // ---------- Disk cache
+  const cacheFile = url => cacheDir && path.join(cacheDir, crypto.createHash('sha1').update(url).digest('hex') + '.json');
+  async function readCache(url, ttl){
+    if (!cacheDir || !ttl) return null;
+    try {
+      const hit = JSON.parse(await fs.readFile(cacheFile(url), 'utf8'));
+      return Date.now() - hit.savedAt < ttl ? hit : null;
+    } catch { return null; }
+  }
+  async function writeCache(url, body){
+    if (!cacheDir) return;
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      const file = cacheFile(url), tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ url, savedAt: Date.now(), ...body }));
+      await fs.rename(tmp, file);
+    } catch (e) { console.error('[fdclient] cache write failed', e.message); }
+  }
+
+  async function fetchWithRetry(url){
+    for (let attempt = 0; ; attempt++){
+      await takeToken();
+      stats.requests += 1;
+      let res, err;
+      try { res = await fetchImpl(url, { headers }); } catch (e) { err = e; }
+      if (res) syncLimits(res);
+      const retryable = err || RETRY_STATUS.has(res.status);
+      if (!retryable || attempt >= maxRetries) {
+        if (err) { stats.failures += 1; throw err; }
+        const txt = await res.text();
+        let json;
+        try { json = JSON.parse(txt); } catch { json = { raw: txt }; }
+        if (res.status !== 200) stats.failures += 1;
+        return { status: res.status, json, txt };
+      }
+      stats.retries += 1;
+      // 429 waits are handled by blockedUntil; network errors and 5xx back off exponentially
+      if (err || res.status !== 429) await sleep(Math.min(30000, 1000 * 2 ** attempt) + Math.random() * 250);
+    }
+  }
+
+  // Same { status, json, txt } shape as a plain fetch; only 200 responses are cached.
+  async function getJson(pathOrUrl, { ttl = 0 } = {}){
+    const url = /^https?:/.test(pathOrUrl) ? pathOrUrl : baseUrl + pathOrUrl;
+    const hit = await readCache(url, ttl);
+    if (hit) { stats.cacheHits += 1; return { status: hit.status, json: hit.json, txt: hit.txt, cached: true }; }
+    if (inflight.has(url)) { stats.deduped += 1; return inflight.get(url); }
+    const p = (async () => {
+      const r = await fetchWithRetry(url);
+      if (r.status === 200) await writeCache(url, r);
+      return r;
+    })().finally(() => inflight.delete(url));
+    inflight.set(url, p);
+    return p;
+  }
+
+  async function pruneCache(maxAgeMs){
+    if (!cacheDir) return 0;
+    let removed = 0;
+    let files = [];
+    try { files = await fs.readdir(cacheDir); } catch { return 0; }
+    for (const f of files){
+      const file = path.join(cacheDir, f);
+      try {
+        const st = await fs.stat(file);
+        if (Date.now() - st.mtimeMs > maxAgeMs) { await fs.unlink(file); removed += 1; }
+      } catch {}
+    }
+    return removed;
+  }
+
+  return { getJson, pruneCache, stats: () => ({ ...stats, tokens: +tokens.toFixed(2), inflight: inflight.size, blockedUntil: blockedUntil > Date.now() ? new Date(blockedUntil).toISOString() : null }) };
+}
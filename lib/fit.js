@@ -0,0 +1,105 @@
+// lib/fit.js — fit model constants by coordinate descent on 1X2 log loss over replayed history
+import { replay, matchesLeague } from './backtest.js';
+import { MODEL_PARAMS, probs1X2Sharp } from './model.js';
+import { leagueFor } from './leagues.js';
+
+export const CONFIG_VERSION = 1;
+const EPS = 1e-9;
+const GRID = 9;
+const GOLDEN_ITERS = 8;
+
+const recFrom = d => Array.from({ length: 5 }, (_, i) => +Math.pow(d, i).toFixed(3));
+
+// step = rounding applied to candidate values so the written config stays readable
+export const FIT_SPACE = [
+  { name: 'tau1x2',         min: 0.8,  max: 2.0,  step: 0.01 },
+  { name: 'homeElo',        min: 0,    max: 150,  step: 1 },
+  { name: 'splitDiv',       min: 250,  max: 2000, step: 10 },
+  { name: 'goalDiv',        min: 1000, max: 6000, step: 10 },
+  { name: 'strongDiffTilt', min: 100,  max: 500,  step: 5 },
+  { name: 'oppK',           min: 0,    max: 1.6,  step: 0.01 },
+  { name: 'awayVenue',      min: 0.9,  max: 1.4,  step: 0.01 },
+  { name: 'recDecay',       min: 0.6,  max: 1.0,  step: 0.005, key: 'rec', get: p => p.rec[1] ?? 1, set: (p, v) => ({ ...p, rec: recFrom(v) }) },
+  { name: 'dcRho',          min: -0.25, max: 0.1, step: 0.005, when: p => p.scoreModel === 'dixon-coles' },
+  { name: 'bpLambda3',      min: 0,    max: 0.4,  step: 0.01, when: p => p.scoreModel === 'bivariate' },
+];
+const getP = (dim, p) => dim.get ? dim.get(p) : p[dim.name];
+const setP = (dim, p, v) => dim.set ? dim.set(p, v) : { ...p, [dim.name]: v };
+const snap = (dim, v) => +(Math.round(Math.min(dim.max, Math.max(dim.min, v)) / dim.step) * dim.step).toFixed(6);
+
+export function logLoss1X2(matches, params, opts = {}){
+  let n = 0, ll = 0;
+  for (const { score, eg, params: used } of replay(matches, { ...opts, params })){
+    const { pH, pD, pA } = probs1X2Sharp(eg.lh, eg.la, used);
+    const p = score.home > score.away ? pH : score.home === score.away ? pD : pA;
+    ll += -Math.log(Math.max(EPS, p));
+    n += 1;
+  }
+  return { n, logLoss: n ? ll / n : null };
+}
+
+function searchDim(dim, params, current, evalFn){
+  let best = { v: getP(dim, params), loss: current };
+  const tried = new Map([[best.v, current]]);
+  const f = v => {
+    v = snap(dim, v);
+    if (!tried.has(v)) tried.set(v, evalFn(setP(dim, params, v)));
+    const loss = tried.get(v);
+    if (loss < best.loss - 1e-7) best = { v, loss };
+    return loss;
+  };
+  const grid = Array.from({ length: GRID }, (_, i) => dim.min + (dim.max - dim.min) * i / (GRID - 1));
+  const losses = grid.map(f);
+  const i = losses.indexOf(Math.min(...losses));
+  // golden-section refinement inside the bracket around the best grid point
+  let lo = grid[Math.max(0, i-1)], hi = grid[Math.min(GRID-1, i+1)];
+  const g = (Math.sqrt(5) - 1) / 2;
+  for (let k = 0; k < GOLDEN_ITERS; k++){
+    const x1 = hi - g*(hi - lo), x2 = lo + g*(hi - lo);
+    if (f(x1) <= f(x2)) hi = x2; else lo = x1;
+  }
+  return best;
+}
+
+// A parameter that leagues.json sets for every competition in the window never reaches the
+// replay (leagueParams overrides it), so searching it would only burn replays.
+function setPerLeague(matches, { from, to, league, leagues }){
+  if (!leagues) return () => false;
+  const comps = matches.filter(m => {
+    const d = (m.utcDate || '').slice(0,10);
+    return (!from || d >= from) && (!to || d <= to) && matchesLeague(m, league);
+  }).map(m => m.competition);
+  return dim => comps.length > 0 && comps.every(c => Number.isFinite(leagueFor(leagues, c)?.[dim.name]));
+}
+
+export function fitParams(matches, { params = MODEL_PARAMS, passes = 2, space: allDims = FIT_SPACE, onStep, ...opts } = {}){
+  const perLeague = setPerLeague(matches, opts);
+  const skipped = allDims.filter(d => (!d.when || d.when(params)) && perLeague(d)).map(d => d.name);
+  const space = allDims.filter(d => (!d.when || d.when(params)) && !skipped.includes(d.name));
+  const evalFn = p => logLoss1X2(matches, p, opts).logLoss ?? Infinity;
+  const start = { ...params };
+  const before = evalFn(start);
+  let cur = start, loss = before;
+  const gain = Object.fromEntries(space.map(d => [d.name, 0]));
+  for (let pass = 1; pass <= passes; pass++){
+    for (const dim of space){
+      const from = getP(dim, cur);
+      const best = searchDim(dim, cur, loss, evalFn);
+      if (best.loss < loss) {
+        gain[dim.name] += loss - best.loss;
+        cur = setP(dim, cur, best.v);
+        loss = best.loss;
+      }
+      onStep?.({ pass, name: dim.name, from, to: getP(dim, cur), logLoss: loss });
+    }
+  }
+  // ablation: how much worse the fit gets if just this parameter goes back to its starting value
+  const improvements = space.map(dim => ({
+    param: dim.name, before: getP(dim, start), after: getP(dim, cur),
+    gain: +gain[dim.name].toFixed(5),
+    ablation: getP(dim, start) === getP(dim, cur) ? 0 : +(evalFn(setP(dim, cur, getP(dim, start))) - loss).toFixed(5),
+  }));
+  // just the searched params (model-config.json must not freeze env overrides or defaults)
+  const fitted = Object.fromEntries(space.map(d => [d.key || d.name, cur[d.key || d.name]]));
+  return { params: cur, fitted, before, after: loss, improvements, skipped };
+}
@@ -0,0 +1,178 @@
+// lib/i18n.js — page locales (English at /, Turkish under /tr/) and the translation tables for
+// page copy and market / selection labels. Strings may carry {placeholders}; page copy is trusted
+// HTML. Missing keys fall back to English.
+export const LOCALES = ['en', 'tr'];
+export const DEFAULT_LOCALE = 'en';
+
+// '/match/1' -> '/tr/match/1'
+export function localePath(locale, path = '/'){
+  return locale === DEFAULT_LOCALE ? path : `/${locale}${path === '/' ? '/' : path}`;
+}
+
+const STRINGS = {
+  en: {
+    'site.tagline': 'Today’s AI Football Picks',
+    'meta.description': 'BetEstimate.com — free daily AI football predictions and statistical match analysis: 1X2, Over/Under 2.5, BTTS. Updated automatically.',
+    'meta.keywords': 'AI football predictions, football betting tips, match probabilities, over under 2.5, BTTS, sports analytics, football data, daily picks, BetEstimate',
+    'nav.home': 'Home', 'nav.performance': 'Track record', 'nav.about': 'About', 'nav.privacy': 'Privacy', 'nav.contact': 'Contact',
+    'footer.risk': 'Use the data at your own risk. Informational picks only — no guarantees.',
+    'ad.space': 'Ad Space',
+    'tabs.yesterday': 'Yesterday', 'tabs.today': 'Today', 'tabs.tomorrow': 'Tomorrow', 'tabs.weekend': 'Weekend ({from}–{to})',
+    'index.title': 'BetEstimate.com — Today’s AI Football Picks',
+    'day.title': 'AI Football Picks for {date} — BetEstimate.com', 'day.heading': 'Picks for {date}',
+    'weekend.title': 'Weekend AI Football Picks — BetEstimate.com', 'weekend.heading': 'Weekend picks, {from} – {to}',
+    'table.kickoff': 'Kickoff', 'table.league': 'League', 'table.home': 'Home', 'table.away': 'Away',
+    'table.prediction': 'Prediction', 'table.alt': 'Alt pick', 'table.odds': 'Odds · EV',
+    'legend.strong': 'Strong signal (edge ≥ 10)', 'legend.medium': 'Medium signal (5–9)', 'legend.low': 'Low signal (< 5)',
+    'legend.value': 'Model beats the margin-free bookmaker price by at least the edge threshold, with positive EV',
+    'client.value': 'VALUE', 'client.pinned': 'PINNED', 'client.editor': 'Editor: ', 'client.allLeagues': 'All leagues',
+    'client.stake': 'stake', 'client.toWin': 'to win', 'client.ht': 'HT', 'client.ft': 'FT', 'client.timesIn': 'Kickoff times in {tz}',
+    'client.noRows': 'No picks for this day yet.',
+    'track.won': 'winning|won', 'track.half-won': 'half winning|half won', 'track.void': 'level (push)|void',
+    'track.half-lost': 'half losing|half lost', 'track.lost': 'losing|lost',
+    'match.title': '{home} vs {away} prediction — {kickoff}', 'match.vs': 'vs',
+    'match.prediction': 'Prediction:', 'match.alt': 'Alt pick:', 'match.editorNote': 'Editor’s note:',
+    'match.breakdown': 'Model breakdown', 'match.form': 'Recent league form', 'match.scorelines': 'Scoreline probabilities (%)',
+    'match.mostLikely': 'Most likely:', 'match.markets': 'All markets', 'match.noModel': 'The model could not price this fixture (missing form or standings data).',
+    'match.selection': 'Selection', 'match.probability': 'Probability', 'match.fairOdds': 'Fair odds', 'match.bookOdds': 'Book odds', 'match.ev': 'EV',
+    'match.result': 'Result', 'match.finalScore': 'Final score {home}–{away}', 'match.awaiting': 'Awaiting the final score.',
+    'match.published': 'Published picks', 'match.pick': 'Pick', 'match.outcome': 'Outcome', 'match.pending': 'pending',
+    'model.lambda': 'Expected goals (λ) home / away', 'model.baseline': 'League-average λ home / away',
+    'model.rating': 'Team rating home / away', 'model.seedDiff': 'Rating difference incl. home advantage (seedDiff)',
+    'model.formFac': 'Form factor home / away', 'model.strength': 'Season strength λ home / away (weight)',
+    'model.attDefHome': 'Attack / defence home', 'model.attDefAway': 'Attack / defence away', 'model.attDef': '{att} / {def} over {n} weighted matches',
+    'model.homeAdv': 'Fitted home advantage (goal ratio)', 'model.unadjusted': 'λ before rest / congestion / head-to-head',
+    'model.restHome': 'Rest & congestion home', 'model.restAway': 'Rest & congestion away',
+    'model.rest': '{rest}, {recent} matches in {days} days → ×{factor}', 'model.restDays': '{days} days rest', 'model.noRecent': 'no recent match',
+    'model.h2h': 'Head-to-head', 'model.h2hValue': '{n} meetings, avg goal difference {gd} → ×{factor}', 'model.noH2h': 'no recent meetings',
+    'model.scoreModel': 'Scoreline model', 'model.league': 'League base goals / home advantage (Elo) / draw inflation', 'model.default': 'default',
+    'form.summary': 'Points/match {ppm} · goals {gf}–{ga} · avg opponent position {pos} · form strength {fs}',
+    'form.none': 'No league matches in the form window.',
+    'form.date': 'Date', 'form.venue': 'H/A', 'form.opponent': 'Opponent', 'form.oppPos': 'Opp pos', 'form.score': 'Score', 'form.result': 'Res',
+    'perf.title': 'Track Record — BetEstimate.com', 'perf.heading': 'Track Record',
+    'perf.intro': 'Every pick we publish is stored before kickoff and settled against the final score. Hit rate shows how often a pick won; <strong>Brier score</strong> and <strong>log loss</strong> measure how good the stated probabilities were (lower is better). The reliability table compares the probability we quoted with how often those picks actually won.',
+    'perf.league': 'League', 'perf.from': 'From', 'perf.to': 'To', 'perf.picks': 'Picks', 'perf.both': 'Prediction + alt pick', 'perf.primary': 'Prediction only', 'perf.alt': 'Alt pick only',
+    'perf.apply': 'Apply', 'perf.market': 'Market', 'perf.settled': 'Settled', 'perf.hitRate': 'Hit rate', 'perf.avgProb': 'Avg prob',
+    'perf.brier': 'Brier', 'perf.logLoss': 'Log loss', 'perf.reliability': 'Reliability', 'perf.quoted': 'Quoted probability',
+    'perf.count': 'Picks', 'perf.avgQuoted': 'Avg quoted', 'perf.observed': 'Actually won',
+    'perf.summary': '{n} settled picks, {won} won ({rate}). Pending: {pending}, void: {void}.', 'perf.allMarkets': 'All markets', 'perf.empty': 'No settled picks yet.',
+    'about.title': 'About — BetEstimate.com', 'about.heading': 'About BetEstimate.com',
+    'about.p1': '<strong>BetEstimate</strong> provides <em>AI football predictions</em> powered by statistical models and historical data. We combine <em>Poisson goal models</em>, <em>Elo-like team strength</em>, <em>recent form</em>, opponent strength, venue adjustment, and league scoring baselines to estimate a full scoreline distribution, and price every market from it: <strong>1X2</strong>, <strong>double chance</strong>, <strong>draw no bet</strong>, <strong>Asian handicap</strong>, <strong>Over/Under 1.5, 2.5 and 3.5 goals</strong>, team goal totals, <strong>Both Teams To Score</strong> and the most likely correct scores. Each pick is the selection that stands out most against what an average fixture in the same league would give.',
+    'about.p2': 'Our goal is to help fans and analysts explore <em>match probabilities</em> and <em>sports analytics</em> signals. The picks are generated automatically and refreshed daily. Popular topics: AI football predictions, betting insights, football data, match probabilities, sports analytics, daily football picks, BTTS, over/under goals.',
+    'about.p3': '<em>Important:</em> Predictions are informational only and not guarantees of any outcome. Use the data at your own risk.',
+    'privacy.title': 'Privacy — BetEstimate.com', 'privacy.heading': 'Privacy Policy',
+    'privacy.p1': 'We respect your privacy. BetEstimate.com may use cookies and basic web analytics to measure traffic and improve the site. If we enable Google AdSense or similar ad networks, those services may set cookies and use anonymous identifiers as described in their own policies.',
+    'privacy.p2': 'We do not collect personal information unless you choose to contact us. If you email us, your address and message will be used only to reply and will not be sold to third parties.',
+    'privacy.p3': 'By using this website, you consent to this policy. For questions, email <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a>.',
+    'contact.title': 'Contact — BetEstimate.com', 'contact.heading': 'Contact',
+    'contact.p1': 'Have a question or feedback? Email us at <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a>.',
+    'contact.p2': 'We usually respond within a few days.',
+    'league.title': '{league} AI Predictions & Picks — BetEstimate.com', 'league.heading': '{league} picks',
+    'league.intro': 'AI predictions for {league} ({area}): today’s and tomorrow’s fixtures with model probabilities for every market.',
+    'league.record': 'Track record in {league}: {n} settled picks, {won} won ({rate}).', 'league.recordLink': 'Full track record',
+  },
+  tr: {
+    'site.tagline': 'Bugünün Yapay Zekâ Futbol Tahminleri',
+    'meta.description': 'BetEstimate.com — ücretsiz günlük yapay zekâ futbol tahminleri ve istatistiksel maç analizi: maç sonucu, 2.5 alt/üst, karşılıklı gol. Otomatik güncellenir.',
+    'meta.keywords': 'yapay zekâ futbol tahminleri, iddaa tahminleri, maç olasılıkları, 2.5 alt üst, karşılıklı gol, spor analitiği, futbol verileri, günlük tahminler, BetEstimate',
+    'nav.home': 'Ana sayfa', 'nav.performance': 'Başarı geçmişi', 'nav.about': 'Hakkında', 'nav.privacy': 'Gizlilik', 'nav.contact': 'İletişim',
+    'footer.risk': 'Verileri kendi sorumluluğunuzda kullanın. Tahminler yalnızca bilgi amaçlıdır — garanti verilmez.',
+    'ad.space': 'Reklam Alanı',
+    'tabs.yesterday': 'Dün', 'tabs.today': 'Bugün', 'tabs.tomorrow': 'Yarın', 'tabs.weekend': 'Hafta sonu ({from}–{to})',
+    'index.title': 'BetEstimate.com — Bugünün Yapay Zekâ Futbol Tahminleri',
+    'day.title': '{date} Yapay Zekâ Futbol Tahminleri — BetEstimate.com', 'day.heading': '{date} tahminleri',
+    'weekend.title': 'Hafta Sonu Yapay Zekâ Futbol Tahminleri — BetEstimate.com', 'weekend.heading': 'Hafta sonu tahminleri, {from} – {to}',
+    'table.kickoff': 'Başlama', 'table.league': 'Lig', 'table.home': 'Ev sahibi', 'table.away': 'Deplasman',
+    'table.prediction': 'Tahmin', 'table.alt': 'Alternatif', 'table.odds': 'Oran · EV',
+    'legend.strong': 'Güçlü sinyal (avantaj ≥ 10)', 'legend.medium': 'Orta sinyal (5–9)', 'legend.low': 'Zayıf sinyal (< 5)',
+    'legend.value': 'Model, marjı arındırılmış bahis oranını en az avantaj eşiği kadar geçiyor ve beklenen değer pozitif',
+    'client.value': 'DEĞER', 'client.pinned': 'SABİT', 'client.editor': 'Editör: ', 'client.allLeagues': 'Tüm ligler',
+    'client.stake': 'bahis', 'client.toWin': 'kazanma', 'client.ht': 'İY', 'client.ft': 'MS', 'client.timesIn': 'Başlama saatleri: {tz}',
+    'client.noRows': 'Bu gün için henüz tahmin yok.',
+    'track.won': 'kazanıyor|kazandı', 'track.half-won': 'yarım kazanıyor|yarım kazandı', 'track.void': 'berabere (iade)|iade',
+    'track.half-lost': 'yarım kaybediyor|yarım kaybetti', 'track.lost': 'kaybediyor|kaybetti',
+    'match.title': '{home} - {away} maç tahmini — {kickoff}', 'match.vs': '-',
+    'match.prediction': 'Tahmin:', 'match.alt': 'Alternatif:', 'match.editorNote': 'Editör notu:',
+    'match.breakdown': 'Model ayrıntıları', 'match.form': 'Son lig formu', 'match.scorelines': 'Skor olasılıkları (%)',
+    'match.mostLikely': 'En olası:', 'match.markets': 'Tüm bahis türleri', 'match.noModel': 'Model bu maçı fiyatlayamadı (form veya puan durumu verisi eksik).',
+    'match.selection': 'Seçim', 'match.probability': 'Olasılık', 'match.fairOdds': 'Adil oran', 'match.bookOdds': 'Bahis oranı', 'match.ev': 'EV',
+    'match.result': 'Sonuç', 'match.finalScore': 'Maç sonucu {home}–{away}', 'match.awaiting': 'Maç sonucu bekleniyor.',
+    'match.published': 'Yayınlanan tahminler', 'match.pick': 'Tahmin', 'match.outcome': 'Durum', 'match.pending': 'bekliyor',
+    'model.lambda': 'Beklenen gol (λ) ev / deplasman', 'model.baseline': 'Lig ortalaması λ ev / deplasman',
+    'model.rating': 'Takım reytingi ev / deplasman', 'model.seedDiff': 'Ev avantajı dahil reyting farkı (seedDiff)',
+    'model.formFac': 'Form katsayısı ev / deplasman', 'model.strength': 'Sezon gücü λ ev / deplasman (ağırlık)',
+    'model.attDefHome': 'Hücum / savunma ev', 'model.attDefAway': 'Hücum / savunma deplasman', 'model.attDef': '{att} / {def}, {n} ağırlıklı maç',
+    'model.homeAdv': 'Tahmini ev avantajı (gol oranı)', 'model.unadjusted': 'Dinlenme / yoğunluk / aralarındaki maçlar öncesi λ',
+    'model.restHome': 'Dinlenme ve yoğunluk ev', 'model.restAway': 'Dinlenme ve yoğunluk deplasman',
+    'model.rest': '{rest}, {days} günde {recent} maç → ×{factor}', 'model.restDays': '{days} gün dinlenme', 'model.noRecent': 'yakın zamanda maç yok',
+    'model.h2h': 'Aralarındaki maçlar', 'model.h2hValue': '{n} maç, ortalama gol farkı {gd} → ×{factor}', 'model.noH2h': 'yakın zamanda karşılaşma yok',
+    'model.scoreModel': 'Skor modeli', 'model.league': 'Lig gol ortalaması / ev avantajı (Elo) / beraberlik artışı', 'model.default': 'varsayılan',
+    'form.summary': 'Maç başı puan {ppm} · gol {gf}–{ga} · ortalama rakip sırası {pos} · form gücü {fs}',
+    'form.none': 'Form döneminde lig maçı yok.',
+    'form.date': 'Tarih', 'form.venue': 'E/D', 'form.opponent': 'Rakip', 'form.oppPos': 'Rakip sıra', 'form.score': 'Skor', 'form.result': 'Sonuç',
+    'perf.title': 'Başarı Geçmişi — BetEstimate.com', 'perf.heading': 'Başarı Geçmişi',
+    'perf.intro': 'Yayınladığımız her tahmin maç başlamadan kaydedilir ve nihai skora göre sonuçlandırılır. İsabet oranı tahminlerin ne sıklıkla tuttuğunu gösterir; <strong>Brier skoru</strong> ve <strong>log kaybı</strong> verilen olasılıkların ne kadar iyi olduğunu ölçer (düşük olan daha iyidir). Güvenilirlik tablosu verdiğimiz olasılığı, o tahminlerin gerçekte ne sıklıkla tuttuğuyla karşılaştırır.',
+    'perf.league': 'Lig', 'perf.from': 'Başlangıç', 'perf.to': 'Bitiş', 'perf.picks': 'Tahminler', 'perf.both': 'Tahmin + alternatif', 'perf.primary': 'Yalnızca tahmin', 'perf.alt': 'Yalnızca alternatif',
+    'perf.apply': 'Uygula', 'perf.market': 'Bahis türü', 'perf.settled': 'Sonuçlanan', 'perf.hitRate': 'İsabet oranı', 'perf.avgProb': 'Ort. olasılık',
+    'perf.brier': 'Brier', 'perf.logLoss': 'Log kaybı', 'perf.reliability': 'Güvenilirlik', 'perf.quoted': 'Verilen olasılık',
+    'perf.count': 'Tahmin', 'perf.avgQuoted': 'Ort. verilen', 'perf.observed': 'Gerçekleşen',
+    'perf.summary': '{n} sonuçlanan tahmin, {won} kazandı ({rate}). Bekleyen: {pending}, iade: {void}.', 'perf.allMarkets': 'Tüm bahis türleri', 'perf.empty': 'Henüz sonuçlanan tahmin yok.',
+    'about.title': 'Hakkında — BetEstimate.com', 'about.heading': 'BetEstimate.com Hakkında',
+    'about.p1': '<strong>BetEstimate</strong>, istatistiksel modeller ve geçmiş verilerle desteklenen <em>yapay zekâ futbol tahminleri</em> sunar. <em>Poisson gol modellerini</em>, <em>Elo benzeri takım gücünü</em>, <em>son formu</em>, rakip gücünü, saha etkisini ve lig gol ortalamalarını birleştirerek tüm skor dağılımını tahmin eder ve her bahis türünü bu dağılımdan fiyatlarız: <strong>maç sonucu</strong>, <strong>çifte şans</strong>, <strong>beraberlikte iade</strong>, <strong>Asya handikapı</strong>, <strong>1.5, 2.5 ve 3.5 gol alt/üst</strong>, takım gol sayıları, <strong>karşılıklı gol</strong> ve en olası skorlar. Her tahmin, aynı ligdeki ortalama bir maça göre en çok öne çıkan seçimdir.',
+    'about.p2': 'Amacımız taraftarların ve analistlerin <em>maç olasılıklarını</em> ve <em>spor analitiği</em> sinyallerini keşfetmesine yardımcı olmak. Tahminler otomatik olarak üretilir ve her gün yenilenir. Popüler konular: yapay zekâ futbol tahminleri, bahis analizleri, futbol verileri, maç olasılıkları, spor analitiği, günlük futbol tahminleri, karşılıklı gol, alt/üst.',
+    'about.p3': '<em>Önemli:</em> Tahminler yalnızca bilgi amaçlıdır ve hiçbir sonucu garanti etmez. Verileri kendi sorumluluğunuzda kullanın.',
+    'privacy.title': 'Gizlilik — BetEstimate.com', 'privacy.heading': 'Gizlilik Politikası',
+    'privacy.p1': 'Gizliliğinize saygı duyuyoruz. BetEstimate.com, trafiği ölçmek ve siteyi geliştirmek için çerezler ve temel web analitiği kullanabilir. Google AdSense veya benzeri reklam ağlarını etkinleştirirsek, bu hizmetler kendi politikalarında açıklandığı şekilde çerez yerleştirebilir ve anonim tanımlayıcılar kullanabilir.',
+    'privacy.p2': 'Bizimle iletişime geçmeyi seçmediğiniz sürece kişisel bilgi toplamayız. Bize e-posta gönderirseniz, adresiniz ve mesajınız yalnızca yanıt vermek için kullanılır ve üçüncü taraflara satılmaz.',
+    'privacy.p3': 'Bu web sitesini kullanarak bu politikayı kabul etmiş olursunuz. Sorularınız için <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a> adresine yazın.',
+    'contact.title': 'İletişim — BetEstimate.com', 'contact.heading': 'İletişim',
+    'contact.p1': 'Sorunuz veya geri bildiriminiz mi var? <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a> adresine yazın.',
+    'contact.p2': 'Genellikle birkaç gün içinde yanıt veririz.',
+    'league.title': '{league} Yapay Zekâ Tahminleri — BetEstimate.com', 'league.heading': '{league} tahminleri',
+    'league.intro': '{league} ({area}) için yapay zekâ tahminleri: bugünün ve yarının maçları, her bahis türü için model olasılıklarıyla.',
+    'league.record': '{league} başarı geçmişi: {n} sonuçlanan tahmin, {won} kazandı ({rate}).', 'league.recordLink': 'Tüm başarı geçmişi',
+  },
+};
+
+export function translator(locale){
+  const table = STRINGS[locale] || STRINGS[DEFAULT_LOCALE];
+  return (key, vars = {}) => String(table[key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key)
+    .replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+}
+
+// Keys the page scripts need, shipped inline so the browser can format rows itself.
+export function clientStrings(locale){
+  const t = translator(locale);
+  return Object.fromEntries(Object.keys(STRINGS[DEFAULT_LOCALE]).filter(k => /^(client|track|perf)\./.test(k)).map(k => [k, t(k)]));
+}
+
+// ---------- Markets
+// [pattern, replacement] pairs over the engine's English market names and selection labels
+// (lib/markets.js), first match wins; kept as strings so page scripts can use them too.
+export const MARKET_TABLES = {
+  en: { markets: [], labels: [] },
+  tr: {
+    markets: [
+      ['^1X2$', 'Maç Sonucu'], ['^Double Chance$', 'Çifte Şans'], ['^Draw No Bet$', 'Beraberlikte İade'],
+      ['^Asian Handicap$', 'Asya Handikapı'], ['^Over/Under (.+)$', 'Alt/Üst $1'], ['^Home Team Total$', 'Ev Sahibi Gol Sayısı'],
+      ['^Away Team Total$', 'Deplasman Gol Sayısı'], ['^BTTS$', 'Karşılıklı Gol'], ['^Correct Score$', 'Skor'],
+    ],
+    labels: [['^Over (.+)$', 'Üst $1'], ['^Under (.+)$', 'Alt $1'], ['^Home (.+)$', 'Ev $1'], ['^Away (.+)$', 'Deplasman $1'], ['^Yes$', 'Var'], ['^No$', 'Yok']],
+  },
+};
+function translateBy(pairs, s){
+  for (const [re, to] of pairs){
+    const r = new RegExp(re);
+    if (r.test(s)) return s.replace(r, to);
+  }
+  return s;
+}
+export function marketName(locale, market){ return translateBy((MARKET_TABLES[locale] || MARKET_TABLES.en).markets, market); }
+export function selectionLabel(locale, label){ return translateBy((MARKET_TABLES[locale] || MARKET_TABLES.en).labels, label); }
+export function formatPct(locale, p, digits = 0){
+  return new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: digits, minimumFractionDigits: digits }).format(p);
+}
+// "Over/Under 2.5: Over 2.5 (58%)" in the page's language
+export function pickText(locale, pick){
+  return `${marketName(locale, pick.market)}: ${selectionLabel(locale, pick.label)} (${formatPct(locale, pick.prob)})`;
+}
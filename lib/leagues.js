@@ -0,0 +1,58 @@
+// lib/leagues.js — per-competition configuration (data/leagues.json): which competitions are
+// published and their base goals per match, home advantage (Elo points) and draw inflation.
+import fs from 'node:fs/promises';
+
+// Without a file every competition is published on the built-in defaults.
+export function createLeagues({ file = null, leagues = [], unlisted = 'include' } = {}){
+  const byId = new Map(), byCode = new Map(), bySlug = new Map();
+  for (const l of leagues){
+    if (l.id != null) byId.set(String(l.id), l);
+    if (l.code) byCode.set(l.code.toLowerCase(), l);
+    if (l.slug) bySlug.set(l.slug, l);
+  }
+  return { file, list: leagues, unlisted, byId, byCode, bySlug };
+}
+
+export async function loadLeagues(file){
+  let json = null;
+  try { json = JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[leagues] load failed', e.message); }
+  if (!json) return createLeagues({ file });
+  return createLeagues({ file, leagues: Array.isArray(json.leagues) ? json.leagues : [], unlisted: json.unlisted === 'include' ? 'include' : 'exclude' });
+}
+
+// competition: a football-data competition object, or anything with id / code.
+export function leagueFor(cfg, competition){
+  if (!cfg || !competition) return null;
+  return cfg.byId.get(String(competition.id)) || (competition.code && cfg.byCode.get(String(competition.code).toLowerCase())) || null;
+}
+
+export function leagueIncluded(cfg, competition){
+  return !cfg || cfg.unlisted === 'include' || !!leagueFor(cfg, competition);
+}
+
+// Model params for one competition; unset fields keep the global values.
+export function leagueParams(cfg, competition, params){
+  const l = leagueFor(cfg, competition);
+  if (!l) return params;
+  return { ...params,
+    ...(l.baseGpm > 0 ? { baseGpm: l.baseGpm } : {}),
+    ...(Number.isFinite(l.homeElo) ? { homeElo: l.homeElo } : {}),
+    ...(Number.isFinite(l.drawInflation) ? { drawInflation: l.drawInflation } : {}),
+  };
+}
+
+// ?league= values: comma-separated competition ids, codes or slugs.
+export function parseLeagueQuery(cfg, q){
+  const want = String(q || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!want.length) return null;
+  const ids = new Set();
+  for (const w of want){
+    const l = cfg?.bySlug.get(w) || cfg?.byCode.get(w) || cfg?.byId.get(w);
+    ids.add(l ? String(l.id) : w);
+  }
+  return ids;
+}
+export function rowInLeagues(row, ids){
+  return !ids || ids.has(String(row.compId)) || (!!row.compCode && ids.has(row.compCode.toLowerCase()));
+}
@@ -0,0 +1,75 @@
+// lib/ledger.js — append-only JSON-lines ledger of published picks and their settlement
+import fs from 'node:fs/promises';
+import { settleSelection } from './markets.js';
+
+// One primary and one alt per match: a refresh before kickoff that changes the selection
+// replaces the published pick instead of adding a second one to the record.
+export function pickId(p){ return `${p.matchId}|${p.rank || 'primary'}`; }
+
+export async function loadLedger(file){
+  const picks = new Map();
+  const byEventId = new Map(); // id as written (older ledgers keyed by market|label) -> pick
+  let txt = '';
+  try { txt = await fs.readFile(file, 'utf8'); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[ledger] load failed', e.message); }
+  for (const line of txt.split('\n')){
+    if (!line.trim()) continue;
+    let ev;
+    try { ev = JSON.parse(line); } catch { continue; }
+    if (ev.t === 'pick') {
+      const p = { ...ev, id: pickId(ev), result: null };
+      picks.set(p.id, p);
+      byEventId.set(ev.id, p);
+    } else if (ev.t === 'settle') {
+      const p = byEventId.get(ev.id);
+      if (p && picks.get(p.id) === p) Object.assign(p, { result: ev.result, score: ev.score, settledAt: ev.at });
+    }
+  }
+  return { file, picks };
+}
+
+async function append(store, events){
+  if (!events.length) return;
+  await fs.appendFile(store.file, events.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+export async function recordPicks(store, entries){
+  const at = new Date().toISOString();
+  const fresh = [];
+  for (const e of entries){
+    const id = pickId(e);
+    const prev = store.picks.get(id);
+    if (prev && (prev.result || (prev.market === e.market && prev.label === e.label))) continue;
+    const ev = { t: 'pick', id, at, ...e };
+    store.picks.set(id, { ...ev, result: null });
+    fresh.push(ev);
+  }
+  await append(store, fresh);
+  return fresh.length;
+}
+
+export function unsettled(store, now = Date.now()){
+  return [...store.picks.values()].filter(p => !p.result && Date.parse(p.kickoffIso) < now);
+}
+
+export async function settlePicks(store, matches){
+  const byId = new Map(matches.map(m => [m.id, m]));
+  const at = new Date().toISOString();
+  const events = [];
+  for (const p of unsettled(store)){
+    const m = byId.get(p.matchId);
+    if (!m) continue;
+    let result = null, score = null;
+    if (m.status === 'FINISHED') {
+      const ft = m.score?.fullTime || {};
+      if (ft.home == null || ft.away == null) continue;
+      score = { home: ft.home, away: ft.away };
+      result = settleSelection(p.market, p.label, ft.home, ft.away);
+    } else if (m.status === 'CANCELLED') result = 'void';
+    if (!result) continue;
+    Object.assign(p, { result, score, settledAt: at });
+    events.push({ t: 'settle', id: p.id, at, result, score });
+  }
+  await append(store, events);
+  return events.length;
+}
@@ -0,0 +1,50 @@
+// lib/live.js — in-play probabilities. The pre-match goal rates are scaled to the time left and
+// the remaining-goals matrix is read relative to the current score.
+import { scoreMatrix } from './scoreline.js';
+import { sharpenMatrix, inflateDraws } from './model.js';
+import { priceSelection, selectionSettle, settleSelection } from './markets.js';
+
+export const LIVE_STATUSES = ['IN_PLAY', 'PAUSED'];
+const FULL_TIME = 90;
+const HALF_TIME_BREAK = 15;
+
+// football-data.org only sends `minute` on paid tiers; otherwise estimate it from the kickoff,
+// holding at 45 through first-half stoppage time and the break.
+export function matchMinute(m, now = Date.now()){
+  const given = parseInt(m.minute, 10);
+  if (Number.isFinite(given)) return Math.min(FULL_TIME, given);
+  if (m.status === 'PAUSED') return 45;
+  const elapsed = (now - Date.parse(m.utcDate)) / 60000;
+  if (!(elapsed > 0)) return 0;
+  if (elapsed <= 45 + HALF_TIME_BREAK) return Math.min(45, elapsed);
+  return Math.min(FULL_TIME, elapsed - HALF_TIME_BREAK);
+}
+
+export function currentScore(m){
+  const ft = m.score?.fullTime || {};
+  return { home: ft.home ?? 0, away: ft.away ?? 0 };
+}
+
+// picks: [{ rank, market, label }] as published before kickoff. `now` is how the pick would
+// settle on the current score; prob is the chance it wins from here (null when it can only push).
+// The 1X2 sharpening and draw inflation fade out with the time left, so at 0' the numbers equal
+// the pre-match ones.
+export function livePicks({ lh, la, picks = [] }, m, params, now = Date.now()){
+  const finished = m.status === 'FINISHED';
+  const minute = finished ? FULL_TIME : matchMinute(m, now);
+  const score = currentScore(m);
+  const left = finished ? 0 : Math.max(0, FULL_TIME - minute) / FULL_TIME;
+  const remaining = left > 0 && lh > 0 && la > 0
+    ? inflateDraws(sharpenMatrix(scoreMatrix(lh * left, la * left, params), 1 + (params.tau1x2 - 1) * left), (params.drawInflation || 0) * left)
+    : [[1]];
+  const out = [];
+  for (const p of picks){
+    const settle = selectionSettle(p.market, p.label);
+    if (!settle) continue;
+    const priced = priceSelection(remaining, (i, j) => settle(score.home + i, score.away + j));
+    out.push({ rank: p.rank, market: p.market, label: p.label,
+      prob: priced.win + priced.lose > 0 ? +priced.prob.toFixed(4) : null,
+      now: settleSelection(p.market, p.label, score.home, score.away) });
+  }
+  return { status: m.status, minute: Math.round(minute), score, picks: out };
+}
@@ -0,0 +1,102 @@
+// lib/markets.js — market engine: every selection is defined once by how it settles on a
+// scoreline, and priced by summing that settlement over the scoreline matrix.
+// settle(h, a) -> { w, l, p }: fractions of the stake won / lost / pushed (quarter lines split).
+
+const WIN = { w: 1, l: 0, p: 0 }, LOSE = { w: 0, l: 1, p: 0 }, PUSH = { w: 0, l: 0, p: 1 };
+const is = cond => cond ? WIN : LOSE;
+
+export const TOTAL_LINES = [1.5, 2.5, 3.5];
+export const TEAM_TOTAL_LINES = [0.5, 1.5, 2.5];
+export const AH_LINES = [-1.5, -1.25, -1, -0.75, -0.5, -0.25, 0.25, 0.5, 0.75, 1, 1.25, 1.5];
+const CS_MAX = 5;
+
+// diff = selected team's goals minus the opponent's
+function handicap(diff, line){
+  if (Math.abs(line * 4) % 2 === 1) {
+    const a = handicap(diff, line - 0.25), b = handicap(diff, line + 0.25);
+    return { w: (a.w + b.w) / 2, l: (a.l + b.l) / 2, p: (a.p + b.p) / 2 };
+  }
+  const r = diff + line;
+  return r > 0 ? WIN : r === 0 ? PUSH : LOSE;
+}
+const signed = x => (x > 0 ? '+' : '') + x;
+
+function buildDefs(){
+  const defs = [];
+  const add = (market, label, settle) => defs.push({ market, label, settle });
+  add('1X2', '1', (h,a) => is(h > a));
+  add('1X2', 'X', (h,a) => is(h === a));
+  add('1X2', '2', (h,a) => is(h < a));
+  add('Double Chance', '1X', (h,a) => is(h >= a));
+  add('Double Chance', 'X2', (h,a) => is(h <= a));
+  add('Double Chance', '12', (h,a) => is(h !== a));
+  add('Draw No Bet', '1', (h,a) => h === a ? PUSH : is(h > a));
+  add('Draw No Bet', '2', (h,a) => h === a ? PUSH : is(h < a));
+  for (const line of AH_LINES){
+    add('Asian Handicap', `Home ${signed(line)}`, (h,a) => handicap(h - a, line));
+    add('Asian Handicap', `Away ${signed(line)}`, (h,a) => handicap(a - h, line));
+  }
+  for (const line of TOTAL_LINES){
+    add(`Over/Under ${line}`, `Over ${line}`, (h,a) => is(h + a > line));
+    add(`Over/Under ${line}`, `Under ${line}`, (h,a) => is(h + a < line));
+  }
+  for (const line of TEAM_TOTAL_LINES){
+    add('Home Team Total', `Over ${line}`, (h) => is(h > line));
+    add('Home Team Total', `Under ${line}`, (h) => is(h < line));
+    add('Away Team Total', `Over ${line}`, (_h,a) => is(a > line));
+    add('Away Team Total', `Under ${line}`, (_h,a) => is(a < line));
+  }
+  add('BTTS', 'Yes', (h,a) => is(h > 0 && a > 0));
+  add('BTTS', 'No', (h,a) => is(!(h > 0 && a > 0)));
+  for (let i = 0; i <= CS_MAX; i++) for (let j = 0; j <= CS_MAX; j++) add('Correct Score', `${i}-${j}`, (h,a) => is(h === i && a === j));
+  return defs;
+}
+export const MARKET_DEFS = buildDefs();
+const DEF_BY_ID = new Map(MARKET_DEFS.map(d => [`${d.market}|${d.label}`, d]));
+export const MARKETS = [...new Set(MARKET_DEFS.map(d => d.market))];
+export function selectionSettle(market, label){ return DEF_BY_ID.get(`${market}|${label}`)?.settle ?? null; }
+
+// prob = win share of the non-pushed stake, so 1/prob is the fair decimal price even with pushes
+export function priceSelection(matrix, settle){
+  let w = 0, l = 0, p = 0;
+  matrix.forEach((row, i) => row.forEach((q, j) => {
+    const s = settle(i, j);
+    w += q * s.w; l += q * s.l; p += q * s.p;
+  }));
+  return { win: w, lose: l, push: p, prob: (w + l) ? w / (w + l) : 0 };
+}
+
+// Prices every selection against the match matrix and the league-average baseline matrix.
+// edge = prob - base, where base is the same selection's price for an average fixture.
+export function priceMarkets(matrix, baseMatrix){
+  return MARKET_DEFS.map(d => {
+    const m = priceSelection(matrix, d.settle);
+    const b = priceSelection(baseMatrix, d.settle);
+    return { market: d.market, label: d.label, prob: m.prob, push: m.push, base: b.prob, edge: m.prob - b.prob, fairOdds: m.prob ? 1 / m.prob : null };
+  });
+}
+
+export function topCorrectScores(priced, n = 3){
+  return priced.filter(s => s.market === 'Correct Score').sort((a,b)=> b.prob - a.prob).slice(0, n);
+}
+
+// 'won' | 'half-won' | 'void' | 'half-lost' | 'lost', or null for an unknown selection
+export function settleSelection(market, label, h, a){
+  const d = DEF_BY_ID.get(`${market}|${label}`);
+  if (!d) return null;
+  const s = d.settle(h, a);
+  if (s.w === 1) return 'won';
+  if (s.l === 1) return 'lost';
+  if (s.p === 1) return 'void';
+  return s.w > 0 ? 'half-won' : 'half-lost';
+}
+
+export function pickProfit(result, price, stake = 1){
+  switch (result){
+    case 'won': return stake * (price - 1);
+    case 'half-won': return stake * (price - 1) / 2;
+    case 'half-lost': return -stake / 2;
+    case 'lost': return -stake;
+    default: return 0;
+  }
+}
@@ -0,0 +1,65 @@
+// lib/metrics.js — accuracy, Brier score, log loss and calibration for settled picks
+export const PERF_MARKETS = ['1X2', 'Over/Under 2.5', 'BTTS'];
+const EPS = 1e-6;
+
+const graded = picks => picks.filter(p => p.result === 'won' || p.result === 'lost');
+
+export function summarize(picks){
+  const g = graded(picks);
+  const n = g.length;
+  if (!n) return { n: 0, won: 0, hitRate: null, avgProb: null, brier: null, logLoss: null };
+  let won = 0, prob = 0, brier = 0, ll = 0;
+  for (const p of g){
+    const y = p.result === 'won' ? 1 : 0;
+    const q = Math.min(1 - EPS, Math.max(EPS, p.prob));
+    won += y; prob += p.prob;
+    brier += (q - y) ** 2;
+    ll += -(y ? Math.log(q) : Math.log(1 - q));
+  }
+  const r = x => +x.toFixed(4);
+  return { n, won, hitRate: r(won/n), avgProb: r(prob/n), brier: r(brier/n), logLoss: r(ll/n) };
+}
+
+// Reliability table: mean predicted probability vs observed frequency per bucket.
+export function calibration(picks, width = 0.1){
+  const buckets = new Map();
+  for (const p of graded(picks)){
+    const i = Math.min(Math.floor(p.prob / width + 1e-9), Math.round(1/width) - 1);
+    const b = buckets.get(i) || { n: 0, won: 0, prob: 0 };
+    b.n += 1; b.won += p.result === 'won' ? 1 : 0; b.prob += p.prob;
+    buckets.set(i, b);
+  }
+  return [...buckets.entries()].sort((a,b)=> a[0]-b[0]).map(([i, b]) => ({
+    from: +(i*width).toFixed(2), to: +((i+1)*width).toFixed(2), n: b.n,
+    predicted: +(b.prob/b.n).toFixed(4), observed: +(b.won/b.n).toFixed(4)
+  }));
+}
+
+export function filterPicks(picks, { league, from, to, rank } = {}){
+  const lg = (league || '').toLowerCase();
+  return picks.filter(p =>
+    (!lg || (p.league || '').toLowerCase() === lg || String(p.compId) === lg) &&
+    (!from || (p.date || '') >= from) &&
+    (!to || (p.date || '') <= to) &&
+    (!rank || p.rank === rank));
+}
+
+export function performanceReport(picks, filters = {}){
+  const sel = filterPicks(picks, filters);
+  const markets = {};
+  const seen = [...new Set(sel.map(p => p.market))].filter(m => !PERF_MARKETS.includes(m)).sort();
+  for (const m of [...PERF_MARKETS, ...seen]) markets[m] = summarize(sel.filter(p => p.market === m));
+  return {
+    filters,
+    overall: summarize(sel),
+    markets,
+    calibration: calibration(sel),
+    pending: sel.filter(p => !p.result).length,
+    void: sel.filter(p => p.result === 'void').length,
+    halves: sel.filter(p => p.result === 'half-won' || p.result === 'half-lost').length,
+    leagues: [...new Set(picks.map(p => p.league).filter(Boolean))].sort(),
+    // the same leagues keyed by compId (what /league/:slug links with), label for older entries
+    competitions: [...new Map(picks.filter(p => p.league).map(p => [String(p.compId ?? p.league), p.league]))]
+      .map(([id, league]) => ({ id, league })).sort((a, b) => a.league.localeCompare(b.league))
+  };
+}
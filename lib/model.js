@@ -0,0 +1,267 @@
+// lib/model.js — prediction model: seeds, form, expected goals, Poisson 1X2 and pick selection.
+// Pure functions only, so server.js and the offline tools (backtest.js, fit.js) share one implementation.
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { normTeam, canonicalKey } from './teams.js';
+import { ratingOf } from './ratings.js';
+import { SCORE_MODELS, scoreMatrix, outcome1X2 } from './scoreline.js';
+import { priceMarkets, topCorrectScores } from './markets.js';
+import { withOdds } from './odds.js';
+import { applyContext } from './context.js';
+
+// ---------- Calibration
+// Hand-picked defaults, overridden by the fitted data/model-config.json, overridden by env.
+export const MODEL_DEFAULTS = {
+  tau1x2: 1.25,          // SHARPEN_TAU_1X2
+  strongDiffTilt: 220,   // STRONG_DIFF_TILT
+  edgeMin: 0.08,         // EDGE_MIN (8%)
+  homeElo: 65,           // per league in data/leagues.json
+  splitDiv: 650,         // Elo diff -> home share of goals (tanh scale)
+  goalDiv: 2200,         // Elo diff -> total goal scaling
+  oppK: 0.8,             // opponent-position weight in form
+  rec: [1.00, 0.92, 0.85, 0.78, 0.72], // recency weights, newest first
+  awayVenue: 1.15,       // away results count extra in form
+  scoreModel: 'poisson', // SCORE_MODEL: poisson | dixon-coles | bivariate
+  dcRho: -0.08,          // Dixon-Coles low-score dependence
+  bpLambda3: 0.1,        // bivariate Poisson shared goal rate
+  scoreCap: 10,          // scoreline matrix covers 0..scoreCap goals per side
+  drawInflation: 0,      // extra draw share (relative), per league in data/leagues.json
+  strengthPrior: 6,      // decayed matches at which fitted season strengths get half the weight
+  strengthHalfLife: 180, // days; match weight in the season strength fit
+  restFull: 4,           // days of rest below which a side is penalised ...
+  restPenalty: 0.03,     // ... by this much per missing day
+  congestionDays: 14,    // matches (all competitions) counted over this window ...
+  congestionGames: 3,    // ... beyond this many ...
+  congestionPenalty: 0.02, // ... cost this much each
+  h2hWeight: 0.04,       // λ shift per goal of mean head-to-head goal difference
+  h2hPrior: 3,           // meetings of shrinkage towards no effect
+  h2hMax: 0.06,          // cap on the head-to-head shift
+};
+export const MODEL_CONFIG_FILE = process.env.MODEL_CONFIG_FILE || fileURLToPath(new URL('../data/model-config.json', import.meta.url));
+
+function loadModelConfig(file){
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[model] config load failed', e.message); return null; }
+}
+const envNum = k => (process.env[k] ?? '') !== '' ? parseFloat(process.env[k]) : undefined;
+function envParams(){
+  const scoreModel = SCORE_MODELS.includes(process.env.SCORE_MODEL) ? process.env.SCORE_MODEL : undefined;
+  if (process.env.SCORE_MODEL && !scoreModel) console.warn(`[model] unknown SCORE_MODEL ${process.env.SCORE_MODEL}, expected ${SCORE_MODELS.join('|')}`);
+  return Object.fromEntries(Object.entries({
+    tau1x2: envNum('SHARPEN_TAU_1X2'), strongDiffTilt: envNum('STRONG_DIFF_TILT'), edgeMin: envNum('EDGE_MIN'),
+    scoreModel, dcRho: envNum('DC_RHO'), bpLambda3: envNum('BP_LAMBDA3'),
+  }).filter(([, v]) => v !== undefined));
+}
+
+// The defaults until initModel(), which server.js start() and the CLIs call once: importing
+// this module reads no file and logs nothing. Filled in place, so imported references stay live.
+export const MODEL_PARAMS = { ...MODEL_DEFAULTS };
+// Returns the fitted config, or null when there is none.
+export function initModel(file = MODEL_CONFIG_FILE){
+  const config = loadModelConfig(file);
+  Object.assign(MODEL_PARAMS, MODEL_DEFAULTS, config?.params || {}, envParams());
+  return config;
+}
+
+// ---------- Seeds (Elo-like)
+export const SEED_ELO = {
+  'psg':1850,'paris saint germain':1850,
+  'real madrid':1850,'barcelona':1820,'manchester city':1880,'liverpool':1820,'arsenal':1800,
+  'chelsea':1750,'manchester united':1760,'bayern munich':1900,'inter':1820,'juventus':1800,
+  'milan':1780,'atletico madrid':1800,'napoli':1780,'roma':1740,'tottenham':1760,
+  'galatasaray':1700,'fenerbahce':1680,'besiktas':1650,'trabzonspor':1620,'nantes':1600
+};
+export function seedOf(name, ratings = null){
+  const key = (ratings?.keyOf || canonicalKey)(name);
+  return ratingOf(ratings, name) ?? SEED_ELO[key] ?? SEED_ELO[normTeam(name)] ?? 1500;
+}
+
+export function leagueLabel(f){ return `${f.competition?.area?.name || ''} ${f.competition?.name || ''}`.trim(); }
+
+// ---------- League baseline GPM
+// Fallback for competitions missing from data/leagues.json. Labels are "<area> <name>", and
+// the whole label must match so e.g. other countries' premier leagues stay on the default.
+const BASE_GPM = [
+  [/^(turkey )?s[uü]per lig$/, 2.7],
+  [/^(england )?premier league$/, 2.9],
+  [/^(spain )?(la liga|primera division)$/, 2.6],
+  [/^(germany )?bundesliga$/, 3.1],
+  [/^(italy )?serie a$/, 2.5],
+  [/^(france )?ligue 1$/, 2.75],
+  [/^(netherlands )?eredivisie$/, 3.0],
+  [/^(portugal )?primeira liga$/, 2.5],
+];
+export function leagueBaseGpm(league=''){
+  const k = (league||'').toLowerCase().trim();
+  return BASE_GPM.find(([re]) => re.test(k))?.[1] ?? 2.65;
+}
+
+export function matchPoints(forGoals, agGoals){ if (forGoals>agGoals) return 3; if (forGoals===agGoals) return 1; return 0; }
+// A finished match without a full-time score (abandoned, awarded, late data) says nothing about form.
+const scoreOf = m => m.score?.fullTime?.home != null ? m.score.fullTime : m.score?.regularTime?.home != null ? m.score.regularTime : null;
+
+export function formStatsAdvanced(teamId, matches, standingsPack, params = MODEL_PARAMS){
+  const size = standingsPack.size || 20;
+  const posMap = standingsPack.map || new Map();
+  const REC = params.rec;
+  let pts=0, gf=0, ga=0, oppAvg=0, oppCnt=0, adjScore=0;
+  const played = matches.filter(scoreOf);
+  played.forEach((m, idx) => {
+    const isHome = m.homeTeam?.id === teamId;
+    const { home: h, away: a } = scoreOf(m);
+    const forGoals = isHome ? h : a;
+    const agGoals = isHome ? a : h;
+    const ptsThis = matchPoints(forGoals, agGoals);
+    const oppId = isHome ? m.awayTeam?.id : m.homeTeam?.id;
+    const oppPos = oppId ? (posMap.get(oppId) || Math.ceil(size/2)) : Math.ceil(size/2);
+    const norm = (size - oppPos) / size - 0.5;
+    const oppFactor = 1 + norm * params.oppK;
+    const venueFactor = isHome ? 1.00 : params.awayVenue;
+    const w = REC[idx] ?? 0.7;
+    const score = ptsThis * oppFactor * venueFactor * w;
+    adjScore += score;
+    pts += ptsThis; gf += forGoals; ga += agGoals; oppAvg += oppPos; oppCnt += 1;
+  });
+  const gPlayed = played.length || 1;
+  const ppm = pts / gPlayed;
+  const gfpm = gf / gPlayed;
+  const gapm = ga / gPlayed;
+  const oppAvgPos = oppCnt ? (oppAvg/oppCnt) : Math.ceil(size/2);
+  const formStrength = (adjScore / 12.0);
+  return { ppm, gfpm, gapm, oppAvgPos, formStrength };
+}
+
+// The matches behind formStatsAdvanced, newest first, from the team's point of view.
+export function formBreakdown(teamId, matches, standingsPack){
+  const posMap = standingsPack.map || new Map();
+  return matches.filter(scoreOf).map(m => {
+    const isHome = m.homeTeam?.id === teamId;
+    const { home: h, away: a } = scoreOf(m);
+    const gf = isHome ? h : a, ga = isHome ? a : h;
+    const opp = isHome ? m.awayTeam : m.homeTeam;
+    return {
+      date: (m.utcDate || '').slice(0,10), venue: isHome ? 'H' : 'A', opponent: opp?.name || '',
+      oppPos: opp?.id ? (posMap.get(opp.id) || null) : null,
+      score: `${gf}-${ga}`, result: gf > ga ? 'W' : gf === ga ? 'D' : 'L', points: matchPoints(gf, ga)
+    };
+  });
+}
+
+// ---------- Poisson & helpers
+export function fac(n){ let r=1; for(let i=2;i<=n;i++) r*=i; return r; }
+// by recurrence: fac(k) is Infinity past 170 and lam^k overflows sooner for large λ
+export function poisPmf(lam, k){ let p = Math.exp(-lam); for (let i = 1; i <= k; i++) p *= lam / i; return p; }
+export function poisCdf(lam, k){ let s=0; for(let i=0;i<=k;i++) s += poisPmf(lam,i); return s; }
+export function probs1X2(lh, la, cap=12){
+  let pH=0, pD=0, pA=0;
+  for(let i=0;i<=cap;i++){
+    const ph = poisPmf(lh, i);
+    for(let j=0;j<=cap;j++){
+      const pa = poisPmf(la, j);
+      if (i>j) pH += ph*pa; else if (i===j) pD += ph*pa; else pA += ph*pa;
+    }
+  }
+  const s = pH+pD+pA || 1; return { pH: pH/s, pD: pD/s, pA: pA/s };
+}
+export function sharpen3(pH, pD, pA, tau){
+  const a = Math.pow(pH, tau), b = Math.pow(pD, tau), c = Math.pow(pA, tau);
+  const Z = (a+b+c) || 1;
+  return { pH: a/Z, pD: b/Z, pA: c/Z };
+}
+
+// Elo/form heuristic for λ, blended (geometrically) with the fitted season strengths from
+// lib/strength.js when there are any; the strength weight grows with matches played.
+// `context` (lib/context.js matchContext) then applies rest, congestion and head-to-head.
+export function expectedGoalsAdvanced(homeName, awayName, leagueName, homeForm, awayForm, { ratings = null, params = MODEL_PARAMS, strength = null, context = null } = {}){
+  const baseG = params.baseGpm ?? leagueBaseGpm(leagueName);
+  const rh = seedOf(homeName, ratings);
+  const ra = seedOf(awayName, ratings);
+  const seedDiff = (rh + params.homeElo) - ra;
+  const fToFactor = f => Math.max(0.85, Math.min(1.15, 0.98 + 0.10 * f));
+  const homeFormFac = fToFactor(homeForm.formStrength);
+  const awayFormFac = fToFactor(awayForm.formStrength);
+  let split = 0.5 + 0.12*Math.tanh(seedDiff/params.splitDiv);
+  const relForm = (homeFormFac)/(awayFormFac+1e-9);
+  split = Math.max(0.36, Math.min(0.64, split * Math.pow(relForm, 0.25)));
+  let lh = baseG * split * (1 + seedDiff/params.goalDiv) * homeFormFac;
+  let la = baseG * (1 - split) * (1 - seedDiff/params.goalDiv) * awayFormFac;
+  if (rh - ra >= params.strongDiffTilt) { lh *= 1.10; la *= 0.90; }
+  let baseline = baselineGoals(leagueName, params);
+  let strengthWeight = 0;
+  if (strength) {
+    const mix = (w, s, h) => Math.exp(w*Math.log(s) + (1-w)*Math.log(h));
+    strengthWeight = strength.n / (strength.n + params.strengthPrior);
+    lh = mix(strengthWeight, strength.lh, lh);
+    la = mix(strengthWeight, strength.la, la);
+    const lw = strength.leagueWeight / (strength.leagueWeight + 4*params.strengthPrior);
+    baseline = { lh: mix(lw, strength.baseline.lh, baseline.lh), la: mix(lw, strength.baseline.la, baseline.la) };
+  }
+  const unadjusted = { lh, la };
+  if (context) ({ lh, la } = applyContext(lh, la, context));
+  lh = Math.max(0.15, Math.min(3.2, lh));
+  la = Math.max(0.15, Math.min(3.2, la));
+  return { lh, la, seedDiff, homeRating: rh, awayRating: ra, homeFormFac:+homeFormFac.toFixed(3), awayFormFac:+awayFormFac.toFixed(3),
+    strengthWeight: +strengthWeight.toFixed(3), context: context ? { ...context, unadjusted } : null, baseline };
+}
+
+// Expected goals for an average home side against an average away side in this league.
+export function baselineGoals(leagueName = '', params = MODEL_PARAMS){
+  const baseG = params.baseGpm ?? leagueBaseGpm(leagueName);
+  const split = 0.5 + 0.12*Math.tanh(params.homeElo/params.splitDiv);
+  return { lh: baseG * split * (1 + params.homeElo/params.goalDiv), la: baseG * (1 - split) * (1 - params.homeElo/params.goalDiv) };
+}
+
+// Rescales each result class (home win / draw / away win) of the matrix to the sharpened
+// 1X2 probabilities, so handicaps and totals agree with the published 1X2 numbers.
+export function sharpenMatrix(matrix, tau){
+  const raw = outcome1X2(matrix);
+  const sh = sharpen3(raw.pH, raw.pD, raw.pA, tau);
+  const f = { H: sh.pH / (raw.pH || 1), D: sh.pD / (raw.pD || 1), A: sh.pA / (raw.pA || 1) };
+  return matrix.map((row, i) => row.map((p, j) => p * (i > j ? f.H : i === j ? f.D : f.A)));
+}
+
+// Scales the draw class up by `d` (relative) and the decisive results down to match.
+export function inflateDraws(matrix, d){
+  if (!d) return matrix;
+  const { pD } = outcome1X2(matrix);
+  const D = Math.min(0.9, pD * (1 + d));
+  const f = pD < 1 ? (1 - D) / (1 - pD) : 1;
+  return matrix.map((row, i) => row.map((p, j) => i === j ? p * D / (pD || 1) : p * f));
+}
+
+// One scoreline distribution per match; every market below is read off it.
+export function scorelineFor(lh, la, params = MODEL_PARAMS){
+  return inflateDraws(sharpenMatrix(scoreMatrix(lh, la, params), params.tau1x2), params.drawInflation);
+}
+
+export function probs1X2Sharp(lh, la, params = MODEL_PARAMS){ return outcome1X2(scorelineFor(lh, la, params)); }
+
+// ---------- Strongest + runner up
+// Best selection per market by edge. With bookmaker quotes (Map 'market|label' -> price) the
+// edge is against the margin-free market probability and only quoted selections compete;
+// otherwise it is against the selection's league-average baseline. Correct scores are listed
+// separately and never picked.
+export function chooseStrongest(lh, la, params = MODEL_PARAMS, baseline = baselineGoals('', params), quotes = null){
+  const matrix = scorelineFor(lh, la, params);
+  let markets = priceMarkets(matrix, scorelineFor(baseline.lh, baseline.la, params));
+  if (quotes) markets = markets.map(s => withOdds(s, quotes, params.edgeMin));
+  // Correct Score prices only feed the scoreline list; ranking sticks to priced selections only
+  // when some pickable market is priced, otherwise it falls back to model edges
+  const pickable = markets.filter(s => s.market !== 'Correct Score');
+  const priced = pickable.some(s => s.edgeSource === 'market');
+
+  const best = new Map();
+  for (const s of pickable){
+    if (priced && s.edgeSource !== 'market') continue;
+    if (!best.has(s.market) || s.edge > best.get(s.market).edge) best.set(s.market, s);
+  }
+  const candidates = [...best.values()]
+    .map(({ market, label, prob, edge, base, edgeSource = 'model', odds, fair, ev, value }) => ({ market, label, prob, edge, base, edgeSource, odds, fair, ev, value }))
+    .sort((a,b)=> b.edge - a.edge);
+
+  const top = candidates[0];
+  const second = candidates[1];
+  if (top.edge < params.edgeMin) top.note = 'low-edge-fallback';
+  return { top, second, all: candidates, matrix, markets, correctScores: topCorrectScores(markets) };
+}
+
@@ -0,0 +1,146 @@
+// lib/notify.js — pick notifications: per-subscriber filters, webhook / chat-bot / email
+// delivery, and a delivery log so a re-warmed day does not send the same pick twice.
+import fs from 'node:fs/promises';
+import crypto from 'node:crypto';
+import { parseLeagueQuery, rowInLeagues } from './leagues.js';
+import { sendMail } from './smtp.js';
+
+// Config (data/notify.json, re-read on every run so edits apply without a restart):
+// { siteUrl, smtp: { host, port, secure, starttls, user, password, from },
+//   subscribers: [{ id, type, filters: { leagues, markets, minEdge }, schedule: instant|digest, ... }] }
+// type webhook: url, headers, secret (HMAC-SHA256 of the body in X-BetEstimate-Signature)
+//      slack | discord: url (incoming webhook) · telegram: botToken, chatId · email: to
+// instant subscribers hear about new picks whenever a day is (re)built, digest subscribers
+// only on the NOTIFY_CRON run; that run also retries instant deliveries that failed.
+export const SUBSCRIBER_TYPES = ['webhook', 'slack', 'discord', 'telegram', 'email'];
+const DEFAULT_MIN_EDGE = 10; // the home page's strong-signal threshold
+const LOG_KEEP_DAYS = 30;
+
+function checkSubscriber(s){
+  if (!s?.id) return 'missing id';
+  if (!SUBSCRIBER_TYPES.includes(s.type)) return `type must be one of ${SUBSCRIBER_TYPES.join('|')}`;
+  if (['webhook', 'slack', 'discord'].includes(s.type) && !s.url) return 'url is required';
+  if (s.type === 'telegram' && !(s.botToken && s.chatId)) return 'botToken and chatId are required';
+  if (s.type === 'email' && ![].concat(s.to || []).length) return 'to is required';
+  return null;
+}
+
+export async function loadNotifyConfig(file){
+  let json;
+  try { json = JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[notify] config load failed', e.message); return null; }
+  const subscribers = [];
+  for (const s of json.subscribers || []){
+    const err = checkSubscriber(s);
+    if (err) console.warn(`[notify] subscriber ${s?.id ?? '?'} skipped: ${err}`);
+    else subscribers.push({ schedule: s.type === 'email' ? 'digest' : 'instant', ...s, filters: s.filters || {} });
+  }
+  return { siteUrl: String(json.siteUrl || '').replace(/\/$/, ''), smtp: json.smtp || null, subscribers };
+}
+
+// ---------- Selection
+// Primary picks of published, not yet started rows that pass the subscriber's filters.
+export function selectPicks(rows, { leagues = null, markets = null, minEdge = DEFAULT_MIN_EDGE } = {}, leaguesCfg = null, now = Date.now()){
+  const ids = leagues?.length ? parseLeagueQuery(leaguesCfg, [].concat(leagues).join(',')) : null;
+  const wantMarkets = markets?.length ? [].concat(markets).map(m => String(m).toLowerCase()) : null;
+  const out = [];
+  for (const r of rows || []){
+    const top = (r.picks || []).find(p => p.rank === 'primary');
+    if (!top || r.error || r.matchId == null || !(Date.parse(r.kickoffIso) > now)) continue;
+    if ((r.primaryEdgePct ?? 0) < minEdge || !rowInLeagues(r, ids)) continue;
+    if (wantMarkets && !wantMarkets.some(m => top.market.toLowerCase().startsWith(m))) continue;
+    out.push({ matchId: r.matchId, league: r.league, home: r.home, away: r.away, kickoffIso: r.kickoffIso, kickoff: r.kickoff,
+      market: top.market, label: top.label, prob: +top.prob.toFixed(4), edgePct: r.primaryEdgePct,
+      odds: top.odds ?? null, stakePct: top.stakePct ?? null, editorNote: r.editorNote || null });
+  }
+  return out;
+}
+
+// ---------- Formatting
+export function formatPicksText(picks, { siteUrl = '', date } = {}){
+  const lines = picks.map(p => {
+    const price = p.odds ? ` @ ${Number(p.odds).toFixed(2)}` : '';
+    const link = siteUrl ? `\n  ${siteUrl}/match/${p.matchId}` : '';
+    const note = p.editorNote ? `\n  ${p.editorNote}` : '';
+    return `• ${p.home} vs ${p.away} (${p.league}, ${p.kickoff})\n  ${p.market}: ${p.label} — ${Math.round(p.prob * 100)}%, edge ${p.edgePct}%${price}${note}${link}`;
+  });
+  return `BetEstimate strong signals${date ? ` for ${date}` : ''}: ${picks.length}\n\n${lines.join('\n\n')}`;
+}
+
+function request(sub, picks, ctx){
+  const text = formatPicksText(picks, ctx);
+  switch (sub.type){
+    case 'webhook': {
+      const body = JSON.stringify({ event: 'picks', subscriber: sub.id, date: ctx.date, trigger: ctx.trigger, picks });
+      const sig = sub.secret ? { 'X-BetEstimate-Signature': 'sha256=' + crypto.createHmac('sha256', sub.secret).update(body).digest('hex') } : {};
+      return { url: sub.url, headers: { ...(sub.headers || {}), ...sig }, body };
+    }
+    case 'slack': return { url: sub.url, body: JSON.stringify({ text }) };
+    case 'discord': return { url: sub.url, body: JSON.stringify({ content: text.slice(0, 2000) }) };
+    case 'telegram': return { url: `https://api.telegram.org/bot${sub.botToken}/sendMessage`,
+      body: JSON.stringify({ chat_id: sub.chatId, text: text.slice(0, 4096), disable_web_page_preview: true }) };
+  }
+}
+
+// ---------- Delivery log
+// "<subscriber>|<matchId>|<market>|<label>" -> sentAt; a changed pick on the same match is new.
+const logKey = (sub, p) => `${sub.id}|${p.matchId}|${p.market}|${p.label}`;
+
+async function loadLog(file){
+  try { return JSON.parse(await fs.readFile(file, 'utf8')).sent || {}; }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[notify] log load failed', e.message); return {}; }
+}
+async function saveLog(file, sent){
+  const oldest = Date.now() - LOG_KEEP_DAYS*24*3600*1000;
+  for (const [k, at] of Object.entries(sent)) if (Date.parse(at) < oldest) delete sent[k];
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ version: 1, sent }, null, 2) + '\n');
+  await fs.rename(tmp, file);
+}
+
+// ---------- Notifier
+// notify(rows, { date, trigger: 'instant' | 'scheduled', dryRun }) -> { results: [{ id, type, picks, sent, error }] }
+// Runs are serialised, so a warm and the cron run cannot both send the same pick.
+export function createNotifier({ configFile, logFile, leagues = null, fetchImpl = (...a) => fetch(...a), mail = sendMail, timeoutMs = 10000 }){
+  let queue = Promise.resolve();
+
+  async function deliver(sub, picks, ctx, smtp){
+    if (sub.type === 'email') {
+      if (!smtp) throw new Error('smtp is not configured');
+      return mail(smtp, { to: sub.to, subject: `BetEstimate: ${picks.length} strong signal${picks.length === 1 ? '' : 's'} for ${ctx.date}`, text: formatPicksText(picks, ctx) });
+    }
+    const { url, headers = {}, body } = request(sub, picks, ctx);
+    const res = await fetchImpl(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body, signal: AbortSignal.timeout(timeoutMs) });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.text().catch(() => '')).slice(0, 200)}`);
+  }
+
+  async function run(rows, { date, trigger = 'instant', dryRun = false }){
+    const config = await loadNotifyConfig(configFile);
+    if (!config?.subscribers.length) return { results: [], reason: 'not_configured' };
+    const sent = await loadLog(logFile);
+    const ctx = { siteUrl: config.siteUrl, date, trigger };
+    const results = [];
+    let changed = false;
+    for (const sub of config.subscribers){
+      if (trigger === 'instant' && sub.schedule !== 'instant') continue;
+      const picks = selectPicks(rows, sub.filters, leagues).filter(p => !sent[logKey(sub, p)]);
+      if (!picks.length) continue;
+      const result = { id: sub.id, type: sub.type, picks: picks.length, sent: false };
+      results.push(result);
+      if (dryRun) continue;
+      try {
+        await deliver(sub, picks, ctx, config.smtp);
+        const at = new Date().toISOString();
+        for (const p of picks) sent[logKey(sub, p)] = at;
+        result.sent = changed = true;
+      } catch (e) {
+        result.error = String(e.message || e);
+        console.error(`[notify] ${sub.id} (${sub.type}) failed:`, result.error);
+      }
+    }
+    if (changed) await saveLog(logFile, sent);
+    return { results };
+  }
+
+  return { notify: (rows, opts = {}) => (queue = queue.then(() => run(rows, opts), () => run(rows, opts))) };
+}
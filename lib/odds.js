@@ -0,0 +1,171 @@
+// lib/odds.js — bookmaker odds: pluggable providers, fixture matching, margin removal, value detection
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { canonicalKey } from './teams.js';
+
+export const MARGIN_METHODS = ['proportional', 'shin'];
+
+// ---------- Row normalisation
+// A row is { home, away, date?, market, label, odds, bookmaker? } using the market engine's names.
+const LABEL_ALIASES = { home: '1', draw: 'X', away: '2', h: '1', d: 'X', a: '2', yes: 'Yes', no: 'No' };
+export function normalizeRow(r){
+  let market = String(r.market || '').trim();
+  let label = String(r.label ?? r.selection ?? '').trim();
+  const odds = parseFloat(r.odds ?? r.price);
+  if (!r.home || !r.away || !market || !label || !(odds > 1)) return null;
+  const ou = market.match(/^(?:o\/u|ou|over\/under|total(?:s)?)\s*([\d.]+)$/i);
+  if (ou) market = `Over/Under ${+ou[1]}`;
+  if (/^btts$/i.test(market)) market = 'BTTS';
+  if (market === '1X2' || market === 'BTTS') label = LABEL_ALIASES[label.toLowerCase()] || label;
+  if (market.startsWith('Over/Under ')) {
+    const line = market.slice(11);
+    if (/^(o|over)/i.test(label)) label = `Over ${line}`;
+    else if (/^(u|under)/i.test(label)) label = `Under ${line}`;
+  }
+  const date = r.date ? String(r.date).slice(0, 10) : (r.kickoffIso ? String(r.kickoffIso).slice(0, 10) : null);
+  return { home: String(r.home), away: String(r.away), date, market, label, odds, bookmaker: r.bookmaker || null };
+}
+
+// football-data.co.uk style wide rows (HomeTeam, AwayTeam, Date, AvgH/B365H, Avg>2.5 ...)
+function wideRows(o){
+  const out = [];
+  const home = o.HomeTeam || o.Home, away = o.AwayTeam || o.Away;
+  if (!home || !away) return out;
+  let date = o.Date || null;
+  const dm = date && date.match(/^(\d{2})\/(\d{2})\/(\d{2,4})$/);
+  if (dm) date = `${dm[3].length === 2 ? '20' + dm[3] : dm[3]}-${dm[2]}-${dm[1]}`;
+  const pick = (...keys) => keys.map(k => o[k]).find(v => v != null && v !== '');
+  const add = (market, label, odds) => { if (odds != null) out.push({ home, away, date, market, label, odds, bookmaker: 'avg' }); };
+  add('1X2', '1', pick('AvgH', 'B365H', 'PSH'));
+  add('1X2', 'X', pick('AvgD', 'B365D', 'PSD'));
+  add('1X2', '2', pick('AvgA', 'B365A', 'PSA'));
+  add('Over/Under 2.5', 'Over 2.5', pick('Avg>2.5', 'B365>2.5'));
+  add('Over/Under 2.5', 'Under 2.5', pick('Avg<2.5', 'B365<2.5'));
+  return out;
+}
+
+function parseCsv(txt){
+  const lines = txt.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const split = l => l.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+  const head = split(lines[0]);
+  return lines.slice(1).map(l => Object.fromEntries(split(l).map((v, i) => [head[i], v])));
+}
+
+function expandRecords(records){
+  return records.flatMap(o => (o.market ? [o] : wideRows(o)));
+}
+
+// ---------- Providers
+// provider: { name, async fetchOdds({ date, dir }) -> raw rows }
+const filesProvider = {
+  name: 'files',
+  async fetchOdds({ dir }){
+    let files = [];
+    try { files = (await fs.readdir(dir)).filter(f => /\.(json|csv)$/i.test(f)).sort(); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; return []; }
+    const rows = [];
+    for (const f of files){
+      const txt = await fs.readFile(path.join(dir, f), 'utf8');
+      try {
+        if (/\.csv$/i.test(f)) rows.push(...expandRecords(parseCsv(txt)));
+        else {
+          const json = JSON.parse(txt);
+          rows.push(...expandRecords(Array.isArray(json) ? json : (json.rows || [])));
+        }
+      } catch (e) { console.error(`[odds] skipping ${f}:`, e.message); }
+    }
+    return rows;
+  }
+};
+const PROVIDERS = new Map([[filesProvider.name, filesProvider]]);
+export function registerOddsProvider(provider){ PROVIDERS.set(provider.name, provider); }
+
+// ---------- Margin removal
+export function removeMargin(odds, method = 'shin'){
+  const pi = odds.map(o => 1 / o);
+  const book = pi.reduce((s, x) => s + x, 0);
+  if (method !== 'shin' || pi.length < 2) return pi.map(x => x / book);
+  // Shin (1993): find insider share z so the adjusted probabilities sum to 1
+  const probs = z => pi.map(x => (Math.sqrt(z*z + 4*(1 - z) * x*x / book) - z) / (2*(1 - z)));
+  let lo = 0, hi = 0.4;
+  for (let k = 0; k < 60; k++){
+    const z = (lo + hi) / 2;
+    if (probs(z).reduce((s, x) => s + x, 0) > 1) lo = z; else hi = z;
+  }
+  const p = probs((lo + hi) / 2);
+  const s = p.reduce((a, x) => a + x, 0);
+  return p.map(x => x / s);
+}
+
+// Selections that together form one complete book (exactly one of them settles as a win).
+function bookKey(market, label){
+  const ah = market === 'Asian Handicap' && label.match(/^(Home|Away) ([+-]?[\d.]+)$/);
+  if (ah) return `${market}|${ah[1] === 'Home' ? +ah[2] : -ah[2]}`;
+  const tt = market.endsWith('Team Total') && label.match(/([\d.]+)$/);
+  if (tt) return `${market}|${tt[1]}`;
+  if (market === 'Double Chance' || market === 'Correct Score') return null;
+  return market;
+}
+const BOOK_SIZE = m => m === '1X2' ? 3 : 2;
+
+// keyOf: the team registry's name -> key (fuzzy and manual matches), canonicalKey without one.
+const pairKey = (home, away, keyOf = canonicalKey) => `${keyOf(home)}|${keyOf(away)}`;
+
+// Best price per selection for each fixture, with margin-free probabilities where the book is complete.
+export function buildOddsIndex(rawRows, { method = 'shin', keyOf = canonicalKey } = {}){
+  const fixtures = new Map();
+  for (const raw of rawRows){
+    const r = normalizeRow(raw);
+    if (!r) continue;
+    const key = `${pairKey(r.home, r.away, keyOf)}|${r.date || ''}`;
+    if (!fixtures.has(key)) fixtures.set(key, new Map());
+    const sels = fixtures.get(key);
+    const id = `${r.market}|${r.label}`;
+    if (!sels.has(id) || sels.get(id).odds < r.odds) sels.set(id, { market: r.market, label: r.label, odds: r.odds, bookmaker: r.bookmaker });
+  }
+  for (const sels of fixtures.values()){
+    const books = new Map();
+    for (const s of sels.values()){
+      s.implied = 1 / s.odds;
+      s.fair = s.implied; s.fairMethod = 'implied';
+      const bk = bookKey(s.market, s.label);
+      if (bk == null) continue;
+      if (!books.has(bk)) books.set(bk, []);
+      books.get(bk).push(s);
+    }
+    for (const [bk, list] of books){
+      if (list.length !== BOOK_SIZE(bk)) continue;
+      const fair = removeMargin(list.map(s => s.odds), method);
+      list.forEach((s, i) => { s.fair = fair[i]; s.fairMethod = method; });
+    }
+  }
+  return fixtures;
+}
+
+// Prefer a row dated on the kickoff day; undated rows match any day. The fixture's names go
+// through the registry first (a bookmaker's "Wolves" is the key Wolverhampton Wanderers FC was
+// matched to), then canonicalKey for teams the registry has not seen.
+export function oddsFor(index, home, away, kickoffIso, keyOf = canonicalKey){
+  const day = (kickoffIso || '').slice(0, 10);
+  for (const pk of new Set([pairKey(home, away, keyOf), pairKey(home, away)])){
+    const hit = index.get(`${pk}|${day}`) || index.get(`${pk}|`);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+export async function loadOddsIndex({ provider = 'files', dir, date, method = 'shin', keyOf = canonicalKey } = {}){
+  const p = PROVIDERS.get(provider);
+  if (!p) throw new Error(`unknown odds provider ${provider}`);
+  return buildOddsIndex(await p.fetchOdds({ date, dir }), { method, keyOf });
+}
+
+// Attach price, market edge and EV to a priced selection (from priceMarkets).
+export function withOdds(sel, quotes, edgeMin){
+  const q = quotes?.get(`${sel.market}|${sel.label}`);
+  if (!q) return { ...sel, edgeSource: 'model' };
+  const ev = sel.prob * q.odds - 1;
+  const edge = sel.prob - q.fair;
+  return { ...sel, edge, edgeSource: 'market', odds: q.odds, fair: q.fair, fairMethod: q.fairMethod, bookmaker: q.bookmaker, ev, value: edge >= edgeMin && ev > 0 };
+}
@@ -0,0 +1,157 @@
+// lib/providers.js — fixture data providers. Everything downstream works on football-data.org v4
+// match objects ({ id, utcDate, status, competition, homeTeam, awayTeam, score }), so a new source
+// only has to map its own feed into that shape.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { loadHistory } from './backtest.js';
+import { createFootballDataClient } from './fdclient.js';
+
+// provider: { name, configured, source,
+//   async fixtures({ dateFrom, dateTo, fresh }) -> matches (any status),
+//   async standings(compId, { fresh }) -> TOTAL table rows ({ position, team: { id } }), [] when there is none,
+//   async teamMatches(teamId, { dateFrom, dateTo }) -> finished matches of that team,
+//   async competitionMatches(compId, { season }) -> finished matches of a season (start year, default current),
+//   async results({ dateFrom, dateTo } | { ids }) -> finished / cancelled matches,
+//   async headToHead(match, { limit }) -> recent finished meetings of the match's two teams,
+//   async live({ dateFrom, dateTo }) -> in-play, half-time and finished matches with current scores,
+//   stats?() }
+// Methods throw on transport or HTTP errors so callers can tell "no data" from "failed";
+// `fresh` asks a caching provider to skip its cache.
+const FACTORIES = new Map();
+export function registerProvider(name, factory){ FACTORIES.set(name, factory); }
+export function providerNames(){ return [...FACTORIES.keys()]; }
+export function createProvider(name, opts = {}){
+  const factory = FACTORIES.get(name);
+  if (!factory) throw new Error(`unknown data provider ${name} (have ${providerNames().join(', ')})`);
+  return factory(opts);
+}
+
+const listOf = json => Array.isArray(json?.matches) ? json.matches : [];
+const totalTable = json => (json?.standings || []).find(s => s.type === 'TOTAL')?.table || [];
+const inRange = (m, from, to) => { const d = (m.utcDate || '').slice(0, 10); return (!from || d >= from) && (!to || d <= to); };
+
+// ---------- football-data.org
+const FD_TTL = { live: 30*1000, fixtures: 5*60*1000, results: 30*60*1000, static: 6*3600*1000 };
+registerProvider('football-data', ({ token, ratePerMinute, cacheDir, client, baseUrl = 'https://api.football-data.org/v4', ttl = {} } = {}) => {
+  const fd = client || createFootballDataClient({ token, ratePerMinute, cacheDir, baseUrl });
+  const t = { ...FD_TTL, ...ttl };
+  async function get(p, ttlMs){
+    const { status, json, txt } = await fd.getJson(p, { ttl: ttlMs });
+    if (status !== 200) throw new Error(`football-data ${p.split('?')[0]} HTTP ${status}: ${String(txt).slice(0,200)}`);
+    return json;
+  }
+  return {
+    name: 'football-data',
+    configured: !!(token || client),
+    source: baseUrl,
+    async fixtures({ dateFrom, dateTo, fresh = false }){
+      return listOf(await get(`/matches?dateFrom=${dateFrom}&dateTo=${dateTo}&status=SCHEDULED,IN_PLAY,PAUSED,FINISHED`, fresh ? 0 : t.fixtures));
+    },
+    async standings(compId, { fresh = false } = {}){
+      return totalTable(await get(`/competitions/${compId}/standings`, fresh ? 0 : t.static));
+    },
+    async teamMatches(teamId, { dateFrom, dateTo }){
+      return listOf(await get(`/teams/${teamId}/matches?status=FINISHED&dateFrom=${dateFrom}&dateTo=${dateTo}`, t.static));
+    },
+    async competitionMatches(compId, { season } = {}){
+      return listOf(await get(`/competitions/${compId}/matches?status=FINISHED${season ? `&season=${season}` : ''}`, t.static));
+    },
+    async results({ dateFrom, dateTo, ids } = {}){
+      if (!ids) return listOf(await get(`/matches?status=FINISHED&dateFrom=${dateFrom}&dateTo=${dateTo}`, t.results));
+      const out = [];
+      for (let i = 0; i < ids.length; i += 50) out.push(...listOf(await get(`/matches?ids=${ids.slice(i, i+50).join(',')}`, 0)));
+      return out;
+    },
+    async headToHead(match, { limit = 10 } = {}){
+      return listOf(await get(`/matches/${match.id}/head2head?limit=${limit}`, t.static));
+    },
+    async live({ dateFrom, dateTo }){
+      return listOf(await get(`/matches?dateFrom=${dateFrom}&dateTo=${dateTo}&status=IN_PLAY,PAUSED,FINISHED`, t.live));
+    },
+    stats: () => fd.stats(),
+    pruneCache: maxAgeMs => fd.pruneCache(maxAgeMs),
+  };
+});
+
+// ---------- Recorded snapshots
+// <dir>/matches/*.json   v4 match lists (same files as data/history, later files win per id)
+// <dir>/standings/<competitionId>.json   v4 standings responses
+// Re-read when a file changes, so a snapshot can be refreshed under a running server.
+registerProvider('files', ({ dir } = {}) => {
+  const matchDir = path.join(dir, 'matches');
+  let memo = null;
+  async function matches(){
+    let files = [];
+    try { files = (await fs.readdir(matchDir)).filter(f => f.endsWith('.json')).sort(); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; return []; }
+    const stamps = await Promise.all(files.map(f => fs.stat(path.join(matchDir, f)).then(s => `${f}:${s.mtimeMs}`)));
+    const key = stamps.join('|');
+    if (memo?.key !== key) memo = { key, list: await loadHistory(matchDir) };
+    return memo.list;
+  }
+  return {
+    name: 'files',
+    configured: true,
+    source: `file://${dir}`,
+    async fixtures({ dateFrom, dateTo }){
+      return (await matches()).filter(m => inRange(m, dateFrom, dateTo));
+    },
+    async standings(compId){
+      try { return totalTable(JSON.parse(await fs.readFile(path.join(dir, 'standings', `${compId}.json`), 'utf8'))); }
+      catch (e) { if (e.code === 'ENOENT') return []; throw e; }
+    },
+    async teamMatches(teamId, { dateFrom, dateTo }){
+      return (await matches()).filter(m => m.status === 'FINISHED' && inRange(m, dateFrom, dateTo)
+        && (m.homeTeam?.id === teamId || m.awayTeam?.id === teamId));
+    },
+    // no season marker in a snapshot means everything recorded counts as current
+    async competitionMatches(compId, { season } = {}){
+      return (await matches()).filter(m => m.status === 'FINISHED' && String(m.competition?.id) === String(compId)
+        && (!season || String(m.season?.startDate || '').startsWith(String(season))));
+    },
+    async results({ dateFrom, dateTo, ids } = {}){
+      const want = ids && new Set(ids.map(String));
+      return (await matches()).filter(m => want ? want.has(String(m.id)) : m.status === 'FINISHED' && inRange(m, dateFrom, dateTo));
+    },
+    async headToHead(match, { limit = 10 } = {}){
+      const ids = [match.homeTeam?.id, match.awayTeam?.id];
+      return (await matches()).filter(m => m.status === 'FINISHED' && m.utcDate < match.utcDate
+        && ids.includes(m.homeTeam?.id) && ids.includes(m.awayTeam?.id)).slice(-limit).reverse();
+    },
+    async live({ dateFrom, dateTo }){
+      return (await matches()).filter(m => ['IN_PLAY', 'PAUSED', 'FINISHED'].includes(m.status) && inRange(m, dateFrom, dateTo));
+    },
+  };
+});
+
+// Write what a provider returns for a window into the 'files' layout above.
+export async function recordSnapshot(provider, dir, { dateFrom, dateTo, historyDays = 60, chunkDays = 10, log = () => {} }){
+  const addDays = (ymd, n) => new Date(Date.parse(`${ymd}T00:00:00Z`) + n*864e5).toISOString().slice(0, 10);
+  await fs.mkdir(path.join(dir, 'matches'), { recursive: true });
+  await fs.mkdir(path.join(dir, 'standings'), { recursive: true });
+  const comps = new Set();
+  let count = 0;
+  // football-data.org caps a /matches window at 10 days
+  for (let from = addDays(dateFrom, -historyDays); from <= dateTo; from = addDays(from, chunkDays)){
+    const to = [addDays(from, chunkDays - 1), dateTo].sort()[0];
+    const list = await provider.fixtures({ dateFrom: from, dateTo: to });
+    for (const m of list) if (m.competition?.id) comps.add(m.competition.id);
+    await writeJson(path.join(dir, 'matches', `${from}_${to}.json`), { matches: list });
+    count += list.length;
+    log(`matches ${from} → ${to}: ${list.length}`);
+  }
+  for (const id of comps){
+    try {
+      const table = await provider.standings(id);
+      await writeJson(path.join(dir, 'standings', `${id}.json`), { standings: [{ type: 'TOTAL', table }] });
+      log(`standings ${id}: ${table.length} rows`);
+    } catch (e) { log(`standings ${id}: ${e.message}`); }
+  }
+  return { matches: count, competitions: comps.size };
+}
+
+async function writeJson(file, data){
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
@@ -0,0 +1,81 @@
+// lib/ratings.js — persistent Elo store backed by data/ratings.json (version 2)
+import fs from 'node:fs/promises';
+
+const VERSION = 2;
+const APPLIED_KEEP = 3000; // recent match ids remembered so a re-run never double-counts
+
+export function createRatings(keyOf = s => s, teams = {}, { file = null, applied = [], updatedAt = null } = {}){
+  const index = new Map();
+  for (const name of Object.keys(teams)) index.set(keyOf(name), name);
+  return { file, keyOf, teams, index, applied: new Set(applied), updatedAt };
+}
+
+export async function loadRatings(file, keyOf = s => s){
+  let json = {};
+  try { json = JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[ratings] load failed', e.message); }
+  if (json.version && json.version !== VERSION) console.warn(`[ratings] unexpected version ${json.version} in ${file}`);
+  const teams = (json.teams && typeof json.teams === 'object') ? json.teams : {};
+  return createRatings(keyOf, teams, { file, applied: json.applied || [], updatedAt: json.updatedAt || null });
+}
+
+export function ratingOf(store, name){
+  const k = store?.index.get(store.keyOf(name));
+  return k ? store.teams[k].elo : undefined;
+}
+
+function entryFor(store, name, initial){
+  const key = store.keyOf(name);
+  let k = store.index.get(key);
+  if (!k) {
+    k = key;
+    store.teams[k] = { elo: initial(name) };
+    store.index.set(key, k);
+  }
+  return store.teams[k];
+}
+
+// World Football Elo goal-difference scaling
+export function goalDiffMultiplier(gd){
+  const d = Math.abs(gd);
+  if (d <= 1) return 1;
+  if (d === 2) return 1.5;
+  return (11 + d) / 8;
+}
+export function eloExpected(rh, ra, homeAdv = 0){ return 1 / (1 + Math.pow(10, -((rh + homeAdv) - ra) / 400)); }
+
+export function applyResults(store, matches, { k = 20, homeAdv = 65, initial = () => 1500 } = {}){
+  const done = matches
+    .filter(m => m?.id != null && !store.applied.has(m.id))
+    .filter(m => m.homeTeam?.name && m.awayTeam?.name && m.score?.fullTime?.home != null && m.score?.fullTime?.away != null)
+    .sort((a,b)=> (a.utcDate||'').localeCompare(b.utcDate||''));
+  for (const m of done){
+    const h = entryFor(store, m.homeTeam.name, initial);
+    const a = entryFor(store, m.awayTeam.name, initial);
+    const { home: gh, away: ga } = m.score.fullTime;
+    const actual = gh > ga ? 1 : gh === ga ? 0.5 : 0;
+    const delta = k * goalDiffMultiplier(gh - ga) * (actual - eloExpected(h.elo, a.elo, homeAdv));
+    h.elo = +(h.elo + delta).toFixed(1);
+    a.elo = +(a.elo - delta).toFixed(1);
+    h.games = (h.games || 0) + 1;
+    a.games = (a.games || 0) + 1;
+    store.applied.add(m.id);
+  }
+  return done.length;
+}
+
+// Admin override; creates the team when it is new.
+export function setRating(store, name, elo){
+  const e = entryFor(store, name, () => elo);
+  e.elo = elo;
+  e.editedAt = new Date().toISOString();
+  return e;
+}
+
+export async function saveRatings(store){
+  store.updatedAt = new Date().toISOString();
+  const out = { version: VERSION, updatedAt: store.updatedAt, teams: store.teams, applied: [...store.applied].slice(-APPLIED_KEEP) };
+  const tmp = `${store.file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(out, null, 2) + '\n');
+  await fs.rename(tmp, store.file);
+}
@@ -0,0 +1,84 @@
+// lib/scoreline.js — joint scoreline distributions (0..cap × 0..cap) and the markets derived from them
+export const SCORE_MODELS = ['poisson', 'dixon-coles', 'bivariate'];
+
+// pmf by recurrence, so large k never overflows a factorial
+function pmfVector(lam, cap){
+  const v = new Array(cap + 1);
+  v[0] = Math.exp(-lam);
+  for (let k = 1; k <= cap; k++) v[k] = v[k-1] * lam / k;
+  return v;
+}
+
+// Dixon & Coles (1997) low-score correction; rho < 0 lifts 0-0 and 1-1.
+function dcTau(i, j, lh, la, rho){
+  if (i === 0 && j === 0) return 1 - lh * la * rho;
+  if (i === 0 && j === 1) return 1 + lh * rho;
+  if (i === 1 && j === 0) return 1 + la * rho;
+  if (i === 1 && j === 1) return 1 - rho;
+  return 1;
+}
+// keeps every tau factor non-negative for the given rates
+export function dcRhoBounds(lh, la){
+  return [Math.max(-1/lh, -1/la), Math.min(1/(lh*la), 1)];
+}
+
+function normalise(m){
+  let s = 0;
+  for (const row of m) for (const p of row) s += p;
+  s = s || 1;
+  return m.map(row => row.map(p => p / s));
+}
+
+export function poissonMatrix(lh, la, cap = 10){
+  const ph = pmfVector(lh, cap), pa = pmfVector(la, cap);
+  return normalise(ph.map(x => pa.map(y => x * y)));
+}
+
+export function dixonColesMatrix(lh, la, rho = -0.08, cap = 10){
+  const [lo, hi] = dcRhoBounds(lh, la);
+  const r = Math.max(lo, Math.min(hi, rho));
+  const ph = pmfVector(lh, cap), pa = pmfVector(la, cap);
+  return normalise(ph.map((x, i) => pa.map((y, j) => x * y * dcTau(i, j, lh, la, r))));
+}
+
+// Bivariate Poisson with shared component lambda3; marginal means stay lh / la.
+export function bivariateMatrix(lh, la, lambda3 = 0.1, cap = 10){
+  const l3 = Math.max(0, Math.min(lambda3, Math.min(lh, la) - 1e-6));
+  if (l3 === 0) return poissonMatrix(lh, la, cap);
+  const l1 = lh - l3, l2 = la - l3;
+  const p1 = pmfVector(l1, cap), p2 = pmfVector(l2, cap), p3 = pmfVector(l3, cap);
+  const m = [];
+  for (let i = 0; i <= cap; i++){
+    const row = [];
+    for (let j = 0; j <= cap; j++){
+      let s = 0;
+      for (let k = 0; k <= Math.min(i, j); k++) s += p1[i-k] * p2[j-k] * p3[k];
+      row.push(s);
+    }
+    m.push(row);
+  }
+  return normalise(m);
+}
+
+export function scoreMatrix(lh, la, { scoreModel = 'poisson', dcRho = -0.08, bpLambda3 = 0.1, scoreCap = 10 } = {}){
+  if (scoreModel === 'dixon-coles') return dixonColesMatrix(lh, la, dcRho, scoreCap);
+  if (scoreModel === 'bivariate') return bivariateMatrix(lh, la, bpLambda3, scoreCap);
+  return poissonMatrix(lh, la, scoreCap);
+}
+
+// ---------- Derived markets
+export function sumWhere(m, pred){
+  let s = 0;
+  m.forEach((row, i) => row.forEach((p, j) => { if (pred(i, j)) s += p; }));
+  return s;
+}
+export function outcome1X2(m){
+  return { pH: sumWhere(m, (i,j) => i > j), pD: sumWhere(m, (i,j) => i === j), pA: sumWhere(m, (i,j) => i < j) };
+}
+export const overProb = (m, line) => sumWhere(m, (i,j) => i + j > line);
+export const bttsProb = m => sumWhere(m, (i,j) => i > 0 && j > 0);
+export function topScores(m, n = 3){
+  const all = [];
+  m.forEach((row, i) => row.forEach((p, j) => all.push({ home: i, away: j, p })));
+  return all.sort((a,b)=> b.p - a.p).slice(0, n);
+}
@@ -0,0 +1,42 @@
+// lib/seo.js — schema.org SportsEvent markup for fixtures and the sitemap urlset, so crawlers
+// get the fixtures, picks and per-page lastmod without running the page scripts.
+const EVENT_STATUS = { CANCELLED: 'EventCancelled', POSTPONED: 'EventPostponed', SUSPENDED: 'EventPostponed' };
+
+// row: a published row or a ledger match ({ home, away, league, kickoffIso, status });
+// url: the absolute match page; description: the pick in the page's language.
+export function sportsEvent(row, { url = null, description = null } = {}){
+  const team = name => ({ '@type': 'SportsTeam', name });
+  return {
+    '@type': 'SportsEvent',
+    name: `${row.home} vs ${row.away}`,
+    sport: 'Football',
+    startDate: row.kickoffIso,
+    eventStatus: `https://schema.org/${EVENT_STATUS[row.status] || 'EventScheduled'}`,
+    homeTeam: team(row.home),
+    awayTeam: team(row.away),
+    competitor: [team(row.home), team(row.away)],
+    ...(row.league ? { superEvent: { '@type': 'SportsEvent', name: row.league } } : {}),
+    ...(url ? { url } : {}),
+    ...(description ? { description } : {}),
+  };
+}
+
+export function jsonLd(events){
+  return { '@context': 'https://schema.org', '@graph': events };
+}
+
+const xmlEsc = s => String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+
+// entries: [{ loc, alternates: [[hreflang, href]], lastmod (ISO or Date), changefreq, priority }]
+export function urlsetXml(entries){
+  const url = e => '<url>' +
+    `<loc>${xmlEsc(e.loc)}</loc>` +
+    (e.alternates || []).map(([l, href]) => `<xhtml:link rel="alternate" hreflang="${l}" href="${xmlEsc(href)}"/>`).join('') +
+    (e.lastmod ? `<lastmod>${new Date(e.lastmod).toISOString()}</lastmod>` : '') +
+    (e.changefreq ? `<changefreq>${e.changefreq}</changefreq>` : '') +
+    (e.priority ? `<priority>${e.priority}</priority>` : '') +
+    '</url>';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">${entries.map(url).join('')}
+</urlset>`;
+}
@@ -0,0 +1,93 @@
+// lib/smtp.js — minimal SMTP submission client (EHLO, optional STARTTLS / implicit TLS,
+// AUTH PLAIN, one plain-text message), enough for the notification digest without a mail library.
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+import crypto from 'node:crypto';
+
+// Resolves to one { code, text } per complete (possibly multi-line) server reply.
+function replyReader(socket){
+  let buf = '', lines = [];
+  const ready = [], waiting = [];
+  let failed = null;
+  const onData = d => {
+    buf += d.toString('utf8');
+    let i;
+    while ((i = buf.indexOf('\n')) >= 0){
+      const line = buf.slice(0, i).replace(/\r$/, '');
+      buf = buf.slice(i + 1);
+      lines.push(line);
+      if (!/^\d{3}(?: |$)/.test(line)) continue;
+      const r = { code: +line.slice(0, 3), text: lines.join('\n') };
+      lines = [];
+      waiting.length ? waiting.shift().resolve(r) : ready.push(r);
+    }
+  };
+  const onFail = e => { failed = e || new Error('SMTP connection closed'); while (waiting.length) waiting.shift().reject(failed); };
+  const onClose = () => onFail(null);
+  socket.on('data', onData); socket.on('error', onFail); socket.on('close', onClose);
+  return {
+    read: () => ready.length ? Promise.resolve(ready.shift()) : failed ? Promise.reject(failed) : new Promise((resolve, reject) => waiting.push({ resolve, reject })),
+    detach: () => { socket.off('data', onData); socket.off('error', onFail); socket.off('close', onClose); },
+  };
+}
+
+const address = s => (String(s).match(/<([^>]+)>/)?.[1] || String(s)).trim();
+const encodeHeader = s => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+const wrap76 = s => s.replace(/.{1,76}/g, '$&\r\n');
+
+export function buildMessage({ from, to, subject, text }){
+  const domain = address(from).split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`, `To: ${[].concat(to).join(', ')}`, `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`, `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0', 'Content-Type: text/plain; charset=utf-8', 'Content-Transfer-Encoding: base64', '',
+    wrap76(Buffer.from(text, 'utf8').toString('base64')),
+  ].join('\r\n');
+}
+
+// smtp: { host, port, secure (implicit TLS, port 465), starttls, user, password, from, timeoutMs }
+export async function sendMail(smtp, { to, subject, text }){
+  const { host = 'localhost', port = 587, secure = port === 465, starttls = !secure && port === 587,
+    user, password, from, timeoutMs = 20000, rejectUnauthorized = true } = smtp;
+  if (!from) throw new Error('smtp.from is required');
+  const rcpts = [].concat(to).filter(Boolean);
+  if (!rcpts.length) throw new Error('no recipients');
+
+  let socket = await new Promise((resolve, reject) => {
+    const s = secure ? tls.connect({ host, port, servername: host, rejectUnauthorized }) : net.connect({ host, port });
+    s.once(secure ? 'secureConnect' : 'connect', () => resolve(s));
+    s.once('error', reject);
+  });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+  let reader = replyReader(socket);
+  const expect = async (ok, cmd) => {
+    if (cmd != null) socket.write(cmd + '\r\n');
+    const r = await reader.read();
+    if (!ok.includes(r.code)) throw new Error(`SMTP ${cmd ? cmd.split(' ')[0] : 'greeting'} failed: ${r.text}`);
+    return r;
+  };
+  try {
+    await expect([220]);
+    const ehlo = `EHLO ${os.hostname() || 'localhost'}`;
+    await expect([250], ehlo);
+    if (starttls) {
+      await expect([220], 'STARTTLS');
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket, servername: host, rejectUnauthorized }, () => resolve(s));
+        s.once('error', reject);
+      });
+      reader = replyReader(socket);
+      await expect([250], ehlo);
+    }
+    if (user) await expect([235], `AUTH PLAIN ${Buffer.from(`\0${user}\0${password || ''}`).toString('base64')}`);
+    await expect([250], `MAIL FROM:<${address(from)}>`);
+    for (const r of rcpts) await expect([250, 251], `RCPT TO:<${address(r)}>`);
+    await expect([354], 'DATA');
+    await expect([250], buildMessage({ from, to: rcpts, subject, text }).replace(/^\./gm, '..') + '\r\n.');
+    await expect([221], 'QUIT').catch(() => {});
+  } finally {
+    socket.destroy();
+  }
+}
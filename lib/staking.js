@@ -0,0 +1,65 @@
+// lib/staking.js — Kelly stake sizing and bankroll simulation over settled picks
+import { pickProfit } from './markets.js';
+
+const FRACTIONS = { full: 1, half: 0.5, quarter: 0.25 };
+export function parseKellyFraction(v, fallback = 0.5){
+  if (v == null || v === '') return fallback;
+  if (FRACTIONS[v] != null) return FRACTIONS[v];
+  const x = parseFloat(v);
+  return x > 0 && x <= 1 ? x : fallback;
+}
+
+// Full-Kelly share of bankroll for decimal odds; prob is the win share of the non-pushed stake.
+export function kellyFraction(prob, odds){
+  if (!(odds > 1) || !(prob > 0)) return 0;
+  return Math.max(0, (prob * odds - 1) / (odds - 1));
+}
+
+// Stakes for one day's picks: fractional Kelly each, scaled down together when the day's
+// total would exceed maxExposure × bankroll.
+export function recommendStakes(picks, { bankroll = 1000, fraction = 0.5, maxExposure = 0.1 } = {}){
+  const raw = picks.map(p => kellyFraction(p.prob, p.odds) * fraction);
+  const total = raw.reduce((s, x) => s + x, 0);
+  const scale = total > maxExposure ? maxExposure / total : 1;
+  return raw.map(k => {
+    const share = k * scale;
+    return { kelly: +k.toFixed(4), stakePct: +(share * 100).toFixed(2), stake: +(share * bankroll).toFixed(2) };
+  });
+}
+
+// Replays settled picks day by day, re-sizing stakes from the running bankroll.
+export function simulateBankroll(picks, { bankroll = 1000, fraction = 0.5, maxExposure = 0.1 } = {}){
+  const settled = picks.filter(p => p.odds > 1 && p.result && p.result !== 'void');
+  const days = new Map();
+  for (const p of settled.sort((a,b)=> (a.kickoffIso||a.date||'').localeCompare(b.kickoffIso||b.date||''))){
+    if (!days.has(p.date)) days.set(p.date, []);
+    days.get(p.date).push(p);
+  }
+  let bank = bankroll, peak = bankroll, maxDrawdown = 0, staked = 0, bets = 0, won = 0;
+  const equity = [];
+  for (const [date, list] of days){
+    const stakes = recommendStakes(list, { bankroll: bank, fraction, maxExposure });
+    let pnl = 0;
+    list.forEach((p, i) => {
+      const stake = stakes[i].stake;
+      if (!stake) return;
+      staked += stake; bets += 1;
+      if (p.result === 'won' || p.result === 'half-won') won += 1;
+      pnl += pickProfit(p.result, p.odds, stake);
+    });
+    bank = +(bank + pnl).toFixed(2);
+    peak = Math.max(peak, bank);
+    maxDrawdown = Math.max(maxDrawdown, peak ? (peak - bank) / peak : 0);
+    equity.push({ date, bankroll: bank, pnl: +pnl.toFixed(2) });
+  }
+  const profit = bank - bankroll;
+  return {
+    settings: { bankroll, fraction, maxExposure },
+    bets, won, staked: +staked.toFixed(2), profit: +profit.toFixed(2),
+    roi: staked ? +(profit / staked).toFixed(4) : null,
+    growth: +(profit / bankroll).toFixed(4),
+    maxDrawdown: +maxDrawdown.toFixed(4),
+    skippedNoOdds: picks.filter(p => p.result && !(p.odds > 1)).length,
+    equity
+  };
+}
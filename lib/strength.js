@@ -0,0 +1,89 @@
+// lib/strength.js — per-competition attack / defence ratings by time-decayed maximum-likelihood
+// Poisson regression:  log λ_home = μ + h + att_home − def_away,  log λ_away = μ + att_away − def_home.
+const DAY = 24*3600*1000;
+const HOME_PRIOR = Math.log(1.25); // typical home/away goal ratio, used while h is poorly determined
+const HOME_PRIOR_GAMES = 20;
+
+export const STRENGTH_DEFAULTS = { halfLifeDays: 180, priorGames: 6, iterations: 60 };
+
+function finished(m, asOf){
+  const ft = m.score?.fullTime;
+  const t = Date.parse(m.utcDate);
+  return m.status === 'FINISHED' && ft?.home != null && ft?.away != null && t < asOf && m.homeTeam?.id != null && m.awayTeam?.id != null;
+}
+
+// Each team is shrunk towards the league average by `priorGames` pseudo-games, which keeps
+// promoted sides and the first weeks of a season sane. Returns null without finished matches.
+export function fitStrengths(matches, { asOf = Date.now(), halfLifeDays = STRENGTH_DEFAULTS.halfLifeDays,
+  priorGames = STRENGTH_DEFAULTS.priorGames, iterations = STRENGTH_DEFAULTS.iterations } = {}){
+  const games = [];
+  for (const m of matches){
+    if (!finished(m, asOf)) continue;
+    games.push({ h: m.homeTeam.id, a: m.awayTeam.id, gh: m.score.fullTime.home, ga: m.score.fullTime.away,
+      w: Math.pow(0.5, (asOf - Date.parse(m.utcDate)) / (halfLifeDays * DAY)) });
+  }
+  if (!games.length) return null;
+
+  const att = new Map(), def = new Map(), n = new Map();
+  let W = 0, GH = 0, GA = 0;
+  for (const g of games){
+    for (const id of [g.h, g.a]) { att.set(id, 0); def.set(id, 0); n.set(id, (n.get(id) || 0) + g.w); }
+    W += g.w; GH += g.w * g.gh; GA += g.w * g.ga;
+  }
+  const perTeam = Math.max(0.3, (GH + GA) / (2 * W));
+  const c = priorGames * perTeam; // pseudo-goals pulling every rating towards 0
+  let mu = Math.log(Math.max(0.3, GA / W)), home = HOME_PRIOR;
+
+  const acc = () => new Map([...att.keys()].map(id => [id, [0, 0]]));
+  for (let it = 0; it < iterations; it++){
+    // attack: goals scored vs expected without the team's own attack term
+    const A = acc();
+    for (const g of games){
+      const eh = Math.exp(mu + home - def.get(g.a)), ea = Math.exp(mu - def.get(g.h));
+      A.get(g.h)[0] += g.w * g.gh; A.get(g.h)[1] += g.w * eh;
+      A.get(g.a)[0] += g.w * g.ga; A.get(g.a)[1] += g.w * ea;
+    }
+    for (const [id, [obs, exp]] of A) att.set(id, Math.log((obs + c) / (exp + c)));
+    // defence: expected conceded without the team's own defence term vs goals conceded
+    const D = acc();
+    for (const g of games){
+      const eh = Math.exp(mu + home + att.get(g.h)), ea = Math.exp(mu + att.get(g.a));
+      D.get(g.a)[0] += g.w * g.gh; D.get(g.a)[1] += g.w * eh;
+      D.get(g.h)[0] += g.w * g.ga; D.get(g.h)[1] += g.w * ea;
+    }
+    for (const [id, [obs, exp]] of D) def.set(id, Math.log((exp + c) / (obs + c)));
+    // identifiability: mean attack and defence 0, absorbed into μ
+    const ma = mean(att), md = mean(def);
+    for (const id of att.keys()) { att.set(id, att.get(id) - ma); def.set(id, def.get(id) - md); }
+    // μ from away goals, h from home goals (shrunk towards the prior on small samples)
+    let eH = 0, eA = 0;
+    for (const g of games){
+      eH += g.w * Math.exp(att.get(g.h) - def.get(g.a));
+      eA += g.w * Math.exp(att.get(g.a) - def.get(g.h));
+    }
+    mu = Math.log(Math.max(1e-6, GA) / eA);
+    const hHat = Math.log(Math.max(1e-6, GH) / (Math.exp(mu) * eH));
+    home = (W * hHat + HOME_PRIOR_GAMES * HOME_PRIOR) / (W + HOME_PRIOR_GAMES);
+  }
+
+  const teams = new Map([...att.keys()].map(id => [id, { att: att.get(id), def: def.get(id), n: n.get(id) }]));
+  return { mu, home, teams, games: games.length, weight: W, asOf: new Date(asOf).toISOString() };
+}
+const mean = m => { let s = 0; for (const v of m.values()) s += v; return m.size ? s / m.size : 0; };
+
+// Expected goals for one fixture from a fitted model; unknown teams sit at the league average.
+// n is the smaller of the two teams' decayed match counts, for blending with other estimates.
+export function strengthGoals(model, homeId, awayId){
+  if (!model) return null;
+  const zero = { att: 0, def: 0, n: 0 };
+  const h = model.teams.get(homeId) || zero, a = model.teams.get(awayId) || zero;
+  return {
+    lh: Math.exp(model.mu + model.home + h.att - a.def),
+    la: Math.exp(model.mu + a.att - h.def),
+    n: Math.min(h.n, a.n),
+    baseline: { lh: Math.exp(model.mu + model.home), la: Math.exp(model.mu) },
+    leagueWeight: model.weight,
+    homeAdv: Math.exp(model.home),
+    home: { att: h.att, def: h.def, n: h.n }, away: { att: a.att, def: a.def, n: a.n },
+  };
+}
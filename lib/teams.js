@@ -0,0 +1,111 @@
+// lib/teams.js — team-name normalisation and the provider-id team registry shared by the model,
+// ratings, odds and ledger
+import fs from 'node:fs/promises';
+
+// ---------- Normalisation
+// Folds diacritics (Beşiktaş -> besiktas, Atlético -> atletico) before dropping punctuation.
+const FOLD = { 'ı': 'i', 'ø': 'o', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th' };
+export function foldDiacritics(s = ''){
+  return String(s).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[ıøßæœłđðþ]/g, c => FOLD[c]);
+}
+export function normTeam(s=''){ return foldDiacritics(s).replace(/[^a-z0-9]+/g,' ').trim(); }
+
+// Club-form tokens that carry no identity, stripped from either end ("FC Barcelona", "Galatasaray SK"),
+// plus founding years and numbers anywhere ("Bayer 04 Leverkusen", "Stade Rennais FC 1901").
+const AFFIXES = new Set(['fc', 'afc', 'cf', 'sc', 'ssc', 'ss', 'sk', 'jk', 'ac', 'acf', 'as', 'us', 'cd', 'ud', 'sd', 'sv', 'fk', 'bk', 'cp', 'rc', 'rcd', 'ogc', 'club', 'calcio', 'sad']);
+export function stripAffixes(n){
+  let t = n.split(' ');
+  if (t.some(w => !/^\d+$/.test(w))) t = t.filter(w => !/^\d+$/.test(w));
+  while (t.length > 1 && AFFIXES.has(t[0])) t.shift();
+  while (t.length > 1 && AFFIXES.has(t[t.length - 1])) t.pop();
+  return t.join(' ');
+}
+
+// Names no amount of normalisation reconciles (applied after stripping).
+const RENAMES = new Map([
+  ['paris saint germain','psg'], ['internazionale milano','inter'], ['internazionale','inter'],
+  ['bayern munchen','bayern munich'], ['atletico de madrid','atletico madrid'],
+  ['tottenham hotspur','tottenham'], ['fenerbahce istanbul','fenerbahce'],
+]);
+export function canonicalKey(name){
+  const n = stripAffixes(normTeam(name));
+  return RENAMES.get(n) ?? n;
+}
+
+// ---------- Fuzzy matching
+function bigrams(s){
+  const t = s.replace(/ /g, '');
+  const out = new Map();
+  for (let i = 0; i < t.length - 1; i++) out.set(t.slice(i, i+2), (out.get(t.slice(i, i+2)) || 0) + 1);
+  return out;
+}
+// Dice coefficient over character bigrams of two canonical keys.
+export function nameSimilarity(a, b){
+  if (a === b) return 1;
+  const A = bigrams(a), B = bigrams(b);
+  let common = 0, total = 0;
+  for (const [g, n] of A) { common += Math.min(n, B.get(g) || 0); total += n; }
+  for (const n of B.values()) total += n;
+  return total ? 2 * common / total : 0;
+}
+// Best known key for `key`, only when it is clearly better than the runner-up.
+export function fuzzyMatch(key, known, { min = 0.82, margin = 0.05 } = {}){
+  let best = null, second = 0;
+  for (const k of known){
+    const s = nameSimilarity(key, k);
+    if (!best || s > best.score) { second = best?.score ?? 0; best = { key: k, score: s }; }
+    else if (s > second) second = s;
+  }
+  return best && best.score >= min && best.score - second >= margin ? best : null;
+}
+
+// ---------- Registry
+// One entry per provider team id: { name, key, matchedBy: exact|fuzzy|manual|none, score, competition, seenAt }.
+// The first resolution is kept, so a team keeps its ratings key when its display name changes;
+// set matchedBy 'manual' and a key in the file to override a bad match.
+export function createTeamRegistry({ file = null, teams = {}, known = () => [] } = {}){
+  const byName = new Map();
+  for (const t of Object.values(teams)) if (t.key) byName.set(normTeam(t.name), t.key);
+  let dirty = false;
+
+  function resolve(team, { provider = 'football-data', competition = null } = {}){
+    if (!team?.name) return null;
+    const id = team.id != null ? `${provider}:${team.id}` : `${provider}:name:${normTeam(team.name)}`;
+    let t = teams[id];
+    if (!t) {
+      const key = canonicalKey(team.name);
+      const knownKeys = new Set(known());
+      const fuzzy = knownKeys.has(key) ? null : fuzzyMatch(key, knownKeys);
+      t = teams[id] = knownKeys.has(key) ? { name: team.name, key, matchedBy: 'exact' }
+        : fuzzy ? { name: team.name, key: fuzzy.key, matchedBy: 'fuzzy', score: +fuzzy.score.toFixed(3) }
+        : { name: team.name, key, matchedBy: 'none' };
+      dirty = true;
+    }
+    if (t.name !== team.name) { t.name = team.name; dirty = true; }
+    if (competition && t.competition !== competition) { t.competition = competition; dirty = true; }
+    t.seenAt = new Date().toISOString().slice(0, 10);
+    byName.set(normTeam(team.name), t.key);
+    return t;
+  }
+
+  // Drop-in for canonicalKey that honours registry matches.
+  function keyOf(name){ return byName.get(normTeam(name)) ?? canonicalKey(name); }
+
+  async function save(){
+    if (!file || !dirty) return false;
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ version: 1, teams }, null, 2) + '\n');
+    await fs.rename(tmp, file);
+    dirty = false;
+    return true;
+  }
+
+  return { file, teams, resolve, keyOf, save, entries: () => Object.entries(teams).map(([id, t]) => ({ id, ...t })) };
+}
+
+export async function loadTeamRegistry(file, opts = {}){
+  let json = {};
+  try { json = JSON.parse(await fs.readFile(file, 'utf8')); }
+  catch (e) { if (e.code !== 'ENOENT') console.error('[teams] load failed', e.message); }
+  return createTeamRegistry({ ...opts, file, teams: json.teams || {} });
+}
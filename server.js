@@ -1,9 +1,27 @@
 // server.js — BetEstimate.com v5.2.8 (Sport Energy Theme, Diag hidden, /explain removed)
+import 'dotenv/config'; // first, so lib/ modules see .env when they read process.env
 import express from 'express';
-import dotenv from 'dotenv';
 import cron from 'node-cron';
-
-dotenv.config();
+import { realpathSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { loadRatings, applyResults, saveRatings, ratingOf, setRating } from './lib/ratings.js';
+import { canonicalKey, loadTeamRegistry } from './lib/teams.js';
+import { MODEL_PARAMS, MODEL_CONFIG_FILE, initModel, SEED_ELO, leagueLabel, formStatsAdvanced, formBreakdown, expectedGoalsAdvanced, chooseStrongest, scorelineFor } from './lib/model.js';
+import { loadLedger, recordPicks, unsettled, settlePicks } from './lib/ledger.js';
+import { performanceReport, filterPicks } from './lib/metrics.js';
+import { MARGIN_METHODS, loadOddsIndex, oddsFor } from './lib/odds.js';
+import { parseKellyFraction, recommendStakes, simulateBankroll } from './lib/staking.js';
+import { createProvider } from './lib/providers.js';
+import { loadLeagues, leagueIncluded, leagueParams, parseLeagueQuery, rowInLeagues } from './lib/leagues.js';
+import { LIVE_STATUSES, livePicks } from './lib/live.js';
+import { fitStrengths, strengthGoals } from './lib/strength.js';
+import { matchContext } from './lib/context.js';
+import { priceAccumulator, buildAccumulators } from './lib/accumulator.js';
+import { createNotifier } from './lib/notify.js';
+import { LOCALES, DEFAULT_LOCALE, localePath, translator, clientStrings, MARKET_TABLES, marketName, selectionLabel, pickText, formatPct } from './lib/i18n.js';
+import { sportsEvent, jsonLd, urlsetXml } from './lib/seo.js';
+import { requireAdmin, loadOverrides, saveOverrides, publishRows, leagueExcluded, pickOverride, setLeagueFilter, setPickOverride } from './lib/admin.js';
 
 const app = express();
 const PORT = parseInt(process.env.PORT || '3000', 10);
@@ -14,10 +32,41 @@ const START_HOUR = parseInt(process.env.START_HOUR || '11', 10);
 const END_HOUR = 24;
 const FALLBACK_DEMO = process.env.FALLBACK_DEMO === '1';
 
-// Calibration
-const SHARPEN_TAU_1X2 = parseFloat(process.env.SHARPEN_TAU_1X2 || '1.25');
-const STRONG_DIFF_TILT = parseFloat(process.env.STRONG_DIFF_TILT || '220');
-const EDGE_MIN = parseFloat(process.env.EDGE_MIN || '0.08'); // 8%
+// Ratings
+const RATINGS_FILE = process.env.RATINGS_FILE || fileURLToPath(new URL('./data/ratings.json', import.meta.url));
+const ELO_K = parseFloat(process.env.ELO_K || '20');
+const RATINGS_LOOKBACK_DAYS = 3;
+// Admin (/admin, /api/admin, /diag): ADMIN_TOKEN and/or ADMIN_USER + ADMIN_PASSWORD
+const ADMIN = { token: process.env.ADMIN_TOKEN || '', user: process.env.ADMIN_USER || '', password: process.env.ADMIN_PASSWORD || '' };
+const OVERRIDES_FILE = process.env.OVERRIDES_FILE || fileURLToPath(new URL('./data/overrides.json', import.meta.url));
+const LEAGUES_FILE = process.env.LEAGUES_FILE || fileURLToPath(new URL('./data/leagues.json', import.meta.url));
+const TEAMS_FILE = process.env.TEAMS_FILE || fileURLToPath(new URL('./data/teams.json', import.meta.url));
+
+// Data provider: 'football-data' (live API) or 'files' (recorded snapshots, no key needed)
+const PROVIDER_NAME = process.env.PROVIDER || 'football-data';
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || fileURLToPath(new URL('./data/snapshot', import.meta.url));
+const FD_RATE_PER_MIN = parseFloat(process.env.FD_RATE_PER_MIN || '10'); // free tier
+const FD_CACHE_DIR = process.env.FD_CACHE_DIR || fileURLToPath(new URL('./data/cache', import.meta.url));
+const FD_BASE_URL = process.env.FD_BASE_URL || 'https://api.football-data.org/v4'; // a local stub in tests
+const CACHE_MAX_AGE = 2*24*3600*1000;
+
+// Odds (drop folder of CSV/JSON price files, or a registered provider)
+const ODDS_PROVIDER = process.env.ODDS_PROVIDER || 'files';
+const ODDS_DIR = process.env.ODDS_DIR || fileURLToPath(new URL('./data/odds', import.meta.url));
+const ODDS_MARGIN_METHOD = MARGIN_METHODS.includes(process.env.ODDS_MARGIN_METHOD) ? process.env.ODDS_MARGIN_METHOD : 'shin';
+
+// Staking
+const BANKROLL = parseFloat(process.env.BANKROLL || '1000');
+const KELLY_FRACTION = parseKellyFraction(process.env.KELLY_FRACTION, 0.5); // full | half | quarter | 0..1
+const MAX_DAILY_EXPOSURE = parseFloat(process.env.MAX_DAILY_EXPOSURE || '0.10'); // share of bankroll per day
+
+// Notifications (subscribers in NOTIFY_FILE, see lib/notify.js; absent file = off)
+const NOTIFY_FILE = process.env.NOTIFY_FILE || fileURLToPath(new URL('./data/notify.json', import.meta.url));
+const NOTIFY_LOG_FILE = process.env.NOTIFY_LOG_FILE || fileURLToPath(new URL('./data/notified.json', import.meta.url));
+const NOTIFY_CRON = process.env.NOTIFY_CRON || '0 8 * * *';
+
+// Ledger
+const LEDGER_FILE = process.env.LEDGER_FILE || fileURLToPath(new URL('./data/ledger.jsonl', import.meta.url));
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -34,10 +83,20 @@ function addDaysLocalYMD(days=0, tz = TZ){
   const base = new Date(now.getTime() + days*24*3600*1000);
   return fmtYMD(base, tz); // YYYY-MM-DD in tz
 }
-function localStartEndISODate(tz = TZ){
-  const from = addDaysLocalYMD(0, tz);
-  const to = addDaysLocalYMD(1, tz);
-  return [from, to];
+const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+function addDaysYMD(ymd, days){
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0,10);
+}
+function isValidYMD(s){ return YMD_RE.test(s || '') && !Number.isNaN(Date.parse(`${s}T12:00:00Z`)) && addDaysYMD(s, 0) === s; }
+function daysBetween(a, b){ return Math.round((Date.parse(`${b}T12:00:00Z`) - Date.parse(`${a}T12:00:00Z`)) / (24*3600*1000)); }
+// Saturday–Sunday of the current weekend (still this one on a Sunday)
+function weekendRange(today = todayYMD()){
+  const wd = new Date(`${today}T12:00:00Z`).getUTCDay();
+  if (wd === 0) return [addDaysYMD(today, -1), today];
+  const sat = addDaysYMD(today, 6 - wd);
+  return [sat, addDaysYMD(sat, 1)];
 }
 function localParts(iso, tz = TZ) {
   const dt = new Date(iso);
@@ -48,223 +107,144 @@ function localParts(iso, tz = TZ) {
   const o = Object.fromEntries(parts.map(p => [p.type, p.value]));
   return { y: +o.year, m: +o.month, d: +o.day, hh: +o.hour, mm: +o.minute };
 }
+// UTC epoch ms of 00:00 on `ymd` in tz (re-checked once for a DST change around midnight)
+function zonedMidnight(ymd, tz = TZ){
+  const guess = Date.parse(`${ymd}T00:00:00Z`);
+  const offset = t => { const p = localParts(new Date(t).toISOString(), tz); return Date.UTC(p.y, p.m - 1, p.d, p.hh % 24, p.mm) - t; };
+  return guess - offset(guess - offset(guess));
+}
+function isValidTz(tz){
+  try { new Intl.DateTimeFormat('en', { timeZone: tz }); return true; } catch { return false; }
+}
 function toLocalLabel(iso, tz = TZ) {
   const { y, m, d, hh, mm } = localParts(iso, tz);
   const pad = n => String(n).padStart(2, '0');
   return `${y}-${pad(m)}-${pad(d)} ${pad(hh)}:${pad(mm)}`;
 }
-function normTeam(s=''){ return s.toLowerCase().replace(/[^a-z0-9]+/g,' ').trim(); }
-
-// ---------- Aliases
-const ALIAS = new Map([
-  ['paris saint germain','psg'], ['paris saint germain fc','psg'],
-  ['manchester city fc','manchester city'], ['manchester united fc','manchester united'],
-  ['fc barcelona','barcelona'], ['fc bayern munich','bayern munich'],
-  ['fc internazionale milano','inter'], ['fc internazionale','inter'],
-  ['juventus fc','juventus'], ['ac milan','milan'],
-  ['atletico de madrid','atletico madrid'], ['ssc napoli','napoli'],
-  ['as roma','roma'], ['tottenham hotspur','tottenham'],
-  ['fenerbahce istanbul','fenerbahce'], ['galatasaray sk','galatasaray'], ['besiktas jk','besiktas'],
-]);
-function canonicalKey(name){
-  const n = normTeam(name);
-  if (ALIAS.has(n)) return ALIAS.get(n);
-  return n;
-}
-
-// ---------- Seeds (Elo-like)
-const SEED_ELO = {
-  'psg':1850,'paris saint germain':1850,
-  'real madrid':1850,'barcelona':1820,'manchester city':1880,'liverpool':1820,'arsenal':1800,
-  'chelsea':1750,'manchester united':1760,'bayern munich':1900,'inter':1820,'juventus':1800,
-  'milan':1780,'atletico madrid':1800,'napoli':1780,'roma':1740,'tottenham':1760,
-  'galatasaray':1700,'fenerbahce':1680,'besiktas':1650,'trabzonspor':1620,'nantes':1600
-};
-function seedOf(name){
-  const key = canonicalKey(name);
-  return SEED_ELO[key] ?? SEED_ELO[normTeam(name)] ?? 1500;
-}
-
-// ---------- League baseline GPM
-function leagueBaseGpm(league=''){
-  const k = (league||'').toLowerCase();
-  if (k.includes('super lig') || k.includes('süper lig')) return 2.7;
-  if (k.includes('premier')) return 2.9;
-  if (k.includes('la liga')) return 2.6;
-  if (k.includes('bundesliga')) return 3.1;
-  if (k.includes('serie a')) return 2.5;
-  if (k.includes('ligue 1')) return 2.75;
-  if (k.includes('eredivisie')) return 3.0;
-  if (k.includes('primeira')) return 2.5;
-  return 2.65;
-}
-
-// ---------- HTTP helper
-const H = { 'X-Auth-Token': API_KEY, 'accept': 'application/json' };
-async function getJson(url){
-  const res = await fetch(url, { headers: H });
-  const status = res.status;
-  const txt = await res.text();
-  let json;
-  try { json = JSON.parse(txt); } catch { json = { raw: txt }; }
-  return { status, json, txt };
+
+// ---------- Data provider
+const PROVIDER = createProvider(PROVIDER_NAME, { token: API_KEY, ratePerMinute: FD_RATE_PER_MIN, cacheDir: FD_CACHE_DIR, baseUrl: FD_BASE_URL, dir: SNAPSHOT_DIR });
+
+// ---------- Teams & ratings store (Elo, updated from finished results)
+// Provider teams are resolved once per id against the rating and seed names; the ratings
+// store then looks names up through the registry.
+const TEAMS = await loadTeamRegistry(TEAMS_FILE, { known: knownTeamKeys });
+const RATINGS = await loadRatings(RATINGS_FILE, TEAMS.keyOf);
+function knownTeamKeys(){ return [...RATINGS.index.keys(), ...Object.keys(SEED_ELO).map(canonicalKey)]; }
+function resolveTeams(m){
+  const competition = leagueLabel(m) || null;
+  TEAMS.resolve(m.homeTeam, { provider: PROVIDER.name, competition });
+  TEAMS.resolve(m.awayTeam, { provider: PROVIDER.name, competition });
+}
+const OVERRIDES = await loadOverrides(OVERRIDES_FILE);
+const LEAGUES = await loadLeagues(LEAGUES_FILE);
+let MODEL_CONFIG = null; // data/model-config.json, applied to MODEL_PARAMS by start()
+function saveTeams(){ return TEAMS.save().catch(e => console.error('[teams] save failed', e.message)); }
+
+async function updateRatings(){
+  if (!PROVIDER.configured) return { applied: 0, reason: 'provider_not_configured' };
+  const dateFrom = addDaysLocalYMD(-RATINGS_LOOKBACK_DAYS);
+  const dateTo = addDaysLocalYMD(1);
+  const matches = await PROVIDER.results({ dateFrom, dateTo });
+  matches.forEach(resolveTeams);
+  await saveTeams();
+  const initial = name => SEED_ELO[TEAMS.keyOf(name)] ?? 1500;
+  const applied = applyResults(RATINGS, matches, { k: ELO_K, homeAdv: MODEL_PARAMS.homeElo, initial });
+  if (applied) await saveRatings(RATINGS);
+  return { applied, matches: matches.length };
 }
 
 // ---------- Standings & form
-const standingsCache = new Map();
-async function getStandings(compId){
-  if (standingsCache.has(compId)) return standingsCache.get(compId);
+// Cups have no table, so a failed standings call degrades to neutral positions (with a
+// warning) instead of failing the prediction.
+async function getStandings(compId, { fresh = false } = {}){
   try {
-    const { json } = await getJson(`https://api.football-data.org/v4/competitions/${compId}/standings`);
-    const total = (json?.standings||[]).find(s => s.type === 'TOTAL');
-    const table = total?.table || [];
+    const table = await PROVIDER.standings(compId, { fresh });
     const map = new Map();
     for (const row of table) if (row.team?.id) map.set(row.team.id, row.position || 0);
-    const pack = { table, map, size: table.length || 20 };
-    standingsCache.set(compId, pack);
-    return pack;
-  } catch { return { table: [], map: new Map(), size: 20 }; }
+    return { table, map, size: table.length || 20 };
+  } catch (e) { return { table: [], map: new Map(), size: 20, error: e.message }; }
 }
 
-const formCache = new Map();
-async function getLastLeagueMatches(teamId, compId){
-  const key = `${teamId}:${compId}`;
-  if (formCache.has(key)) return formCache.get(key);
+// Season attack / defence strengths per competition, fitted on this and last season's finished
+// matches (last season carries the early weeks and promoted sides' absence is shrunk away).
+// Refitted once per day, or once per fresh refresh (fits older than `after` are redone); a failure
+// just leaves the Elo/form heuristic and is kept for STRENGTHS_RETRY_MS, so a competition whose season endpoint is refused (403 on the
+// free tier, 429) is not asked again for each of its fixtures. One fit per competition at a time.
+const STRENGTHS = new Map(); // compId -> { day, model, error, at }
+const FITTING = new Map(); // compId -> in-flight fit
+const STRENGTHS_RETRY_MS = 30*60*1000;
+function getStrengths(compId, params, { after = 0 } = {}){
+  const day = todayYMD();
+  const hit = STRENGTHS.get(compId);
+  if (hit && hit.day === day && hit.at >= after && (hit.model || Date.now() - hit.at < STRENGTHS_RETRY_MS)) return Promise.resolve(hit);
+  if (!FITTING.has(compId)) FITTING.set(compId, fitCompetition(compId, params, day).finally(() => FITTING.delete(compId)));
+  return FITTING.get(compId);
+}
+async function fitCompetition(compId, params, day){
+  let entry;
+  try {
+    const current = await PROVIDER.competitionMatches(compId);
+    const startYear = parseInt(current.find(m => m.season?.startDate)?.season.startDate, 10) || new Date().getUTCFullYear();
+    const previous = await PROVIDER.competitionMatches(compId, { season: startYear - 1 });
+    const byId = new Map([...previous, ...current].map(m => [m.id, m]));
+    const model = fitStrengths([...byId.values()], { halfLifeDays: params.strengthHalfLife, priorGames: params.strengthPrior });
+    entry = { day, model, at: Date.now() };
+  } catch (e) {
+    console.warn(`[strengths] ${compId}: ${e.message}`);
+    entry = { day, model: null, error: e.message, at: Date.now() };
+  }
+  STRENGTHS.set(compId, entry);
+  return entry;
+}
+
+// Every finished match of a team over the last 60 days, newest first, across competitions:
+// rest and congestion need the midweek cup and European games the league form ignores.
+async function getTeamMatches(teamId){
   const end = new Date();
   const start = new Date(end.getTime() - 60*24*3600*1000);
   const dateFrom = start.toISOString().slice(0,10);
   const dateTo = end.toISOString().slice(0,10);
-  const { json } = await getJson(`https://api.football-data.org/v4/teams/${teamId}/matches?status=FINISHED&dateFrom=${dateFrom}&dateTo=${dateTo}`);
-  let arr = Array.isArray(json?.matches) ? json.matches : [];
-  arr = arr.filter(m => m.competition?.id === compId);
-  arr.sort((a,b)=> (b.utcDate||'').localeCompare(a.utcDate||''));
-  const last5 = arr.slice(0,5);
-  formCache.set(key, last5);
-  return last5;
-}
-
-function matchPoints(forGoals, agGoals){ if (forGoals>agGoals) return 3; if (forGoals===agGoals) return 1; return 0; }
-
-function formStatsAdvanced(teamId, matches, standingsPack){
-  const size = standingsPack.size || 20;
-  const posMap = standingsPack.map || new Map();
-  const REC = [1.00, 0.92, 0.85, 0.78, 0.72];
-  let pts=0, gf=0, ga=0, oppAvg=0, oppCnt=0, adjScore=0;
-  matches.forEach((m, idx) => {
-    const isHome = m.homeTeam?.id === teamId;
-    const ts = m.score?.fullTime || m.score?.regularTime || {};
-    const h = ts.home ?? 0, a = ts.away ?? 0;
-    const forGoals = isHome ? h : a;
-    const agGoals = isHome ? a : h;
-    const ptsThis = matchPoints(forGoals, agGoals);
-    const oppId = isHome ? m.awayTeam?.id : m.homeTeam?.id;
-    const oppPos = oppId ? (posMap.get(oppId) || Math.ceil(size/2)) : Math.ceil(size/2);
-    const norm = (size - oppPos) / size - 0.5;
-    const OPP_K = 0.8;
-    const oppFactor = 1 + norm * OPP_K;
-    const venueFactor = isHome ? 1.00 : 1.15;
-    const w = REC[idx] ?? 0.7;
-    const score = ptsThis * oppFactor * venueFactor * w;
-    adjScore += score;
-    pts += ptsThis; gf += forGoals; ga += agGoals; oppAvg += oppPos; oppCnt += 1;
-  });
-  const gPlayed = matches.length || 1;
-  const ppm = pts / gPlayed;
-  const gfpm = gf / gPlayed;
-  const gapm = ga / gPlayed;
-  const oppAvgPos = oppCnt ? (oppAvg/oppCnt) : Math.ceil(size/2);
-  const formStrength = (adjScore / 12.0);
-  return { ppm, gfpm, gapm, oppAvgPos, formStrength };
-}
-
-// ---------- Poisson & helpers
-function fac(n){ let r=1; for(let i=2;i<=n;i++) r*=i; return r; }
-function poisPmf(lam, k){ return Math.exp(-lam) * Math.pow(lam, k) / fac(k); }
-function poisCdf(lam, k){ let s=0; for(let i=0;i<=k;i++) s += poisPmf(lam,i); return s; }
-function probs1X2(lh, la, cap=12){
-  let pH=0, pD=0, pA=0;
-  for(let i=0;i<=cap;i++){
-    const ph = poisPmf(lh, i);
-    for(let j=0;j<=cap;j++){
-      const pa = poisPmf(la, j);
-      if (i>j) pH += ph*pa; else if (i===j) pD += ph*pa; else pA += ph*pa;
-    }
-  }
-  const s = pH+pD+pA || 1; return { pH: pH/s, pD: pD/s, pA: pA/s };
-}
-function sharpen3(pH, pD, pA, tau){
-  const a = Math.pow(pH, tau), b = Math.pow(pD, tau), c = Math.pow(pA, tau);
-  const Z = (a+b+c) || 1;
-  return { pH: a/Z, pD: b/Z, pA: c/Z };
-}
-
-function expectedGoalsAdvanced(homeName, awayName, leagueName, homeForm, awayForm){
-  const baseG = leagueBaseGpm(leagueName);
-  const HOME_ELO = 65;
-  const rh = seedOf(homeName);
-  const ra = seedOf(awayName);
-  const seedDiff = (rh + HOME_ELO) - ra;
-  const fToFactor = f => Math.max(0.85, Math.min(1.15, 0.98 + 0.10 * f));
-  const homeFormFac = fToFactor(homeForm.formStrength);
-  const awayFormFac = fToFactor(awayForm.formStrength);
-  let split = 0.5 + 0.12*Math.tanh(seedDiff/650);
-  const relForm = (homeFormFac)/(awayFormFac+1e-9);
-  split = Math.max(0.36, Math.min(0.64, split * Math.pow(relForm, 0.25)));
-  let lh = baseG * split * (1 + seedDiff/2200) * homeFormFac;
-  let la = baseG * (1 - split) * (1 - seedDiff/2200) * awayFormFac;
-  if (seedOf(homeName) - seedOf(awayName) >= STRONG_DIFF_TILT) { lh *= 1.10; la *= 0.90; }
-  lh = Math.max(0.15, Math.min(3.2, lh));
-  la = Math.max(0.15, Math.min(3.2, la));
-  return { lh, la, seedDiff, homeFormFac:+homeFormFac.toFixed(3), awayFormFac:+awayFormFac.toFixed(3) };
-}
-
-// ---------- Strongest + runner up
-function chooseStrongest(lh, la){
-  let { pH, pD, pA } = probs1X2(lh, la);
-  ({ pH, pD, pA } = sharpen3(pH, pD, pA, SHARPEN_TAU_1X2));
-
-  const best1 = [{label:'1',p:pH},{label:'X',p:pD},{label:'2',p:pA}].sort((a,b)=>b.p-a.p)[0];
-  const edge1 = best1.p - 1/3;
-
-  const totLam = lh + la;
-  const pU25 = poisCdf(totLam, 2);
-  const pO25 = 1 - pU25;
-  const bestTot = pO25 >= pU25 ? { market:'Over/Under 2.5', label:'Over 2.5', p:pO25 } : { market:'Over/Under 2.5', label:'Under 2.5', p:pU25 };
-  const edgeTot = bestTot.p - 0.5;
-
-  const pBTTS = 1 - (Math.exp(-lh) + Math.exp(-la) - Math.exp(-lh-la));
-  const bestBTTS = pBTTS >= 0.5 ? { market:'BTTS', label:'Yes', p:pBTTS } : { market:'BTTS', label:'No', p:1-pBTTS };
-  const edgeBTTS = bestBTTS.p - 0.5;
-
-  const candidates = [
-    { market:'1X2',               label:best1.label,   prob:best1.p,    edge:edge1,   base:0.33 },
-    { market:bestTot.market,      label:bestTot.label, prob:bestTot.p,  edge:edgeTot, base:0.50 },
-    { market:bestBTTS.market,     label:bestBTTS.label,prob:bestBTTS.p, edge:edgeBTTS,base:0.50 },
-  ].sort((a,b)=> b.edge - a.edge);
-
-  const top = candidates[0];
-  const second = candidates[1];
-  if (top.edge < EDGE_MIN) top.note = 'low-edge-fallback';
-  return { top, second, all: candidates };
+  const arr = await PROVIDER.teamMatches(teamId, { dateFrom, dateTo });
+  return [...arr].sort((a,b)=> (b.utcDate||'').localeCompare(a.utcDate||''));
+}
+const lastLeagueMatches = (all, compId) => all.filter(m => m.competition?.id === compId).slice(0,5);
+
+// Recent meetings of the two sides; optional, so a failure only drops the head-to-head factor.
+async function getHeadToHead(f){
+  try { return await PROVIDER.headToHead(f); }
+  catch (e) { return []; }
 }
 
 // ---------- Fetch fixtures
-async function fetchFixturesToday(withExplain=false){
-  const date = todayYMD();
-  if (!API_KEY) return { date, rows: [], reason: 'missing_api_key' };
+// One local calendar day in TZ; the API window is padded a day each side because it works in UTC.
+// Every kickoff of the day is kept: the START_HOUR window depends on the visitor's time zone and
+// is applied when the day is published (visitorDay).
+// `only` limits the day to one competition; `fresh` bypasses the provider cache for the fixture
+// list and standings (team histories keep their TTL).
+async function fetchFixtures(date = todayYMD(), { only = null, fresh = false } = {}){
+  if (!PROVIDER.configured) return { date, rows: [], reason: 'provider_not_configured' };
 
-  const [dateFrom, dateTo] = localStartEndISODate(TZ);
-  const url = `https://api.football-data.org/v4/matches?dateFrom=${dateFrom}&dateTo=${dateTo}&status=SCHEDULED,IN_PLAY,PAUSED,FINISHED`;
-  const { status, json, txt } = await getJson(url);
-  const arr = Array.isArray(json?.matches) ? json.matches : [];
+  const dateFrom = addDaysYMD(date, -1);
+  const dateTo = addDaysYMD(date, 1);
+  const fitAfter = fresh ? Date.now() : 0;
+  const arr = await PROVIDER.fixtures({ dateFrom, dateTo, fresh });
+  let oddsIndex = new Map();
+  try { oddsIndex = await loadOddsIndex({ provider: ODDS_PROVIDER, dir: ODDS_DIR, date, method: ODDS_MARGIN_METHOD, keyOf: TEAMS.keyOf }); }
+  catch (e) { console.error('[odds] load failed', e.message); }
 
   const rows = [];
+  const details = [];
+  const failures = [];
   for (const f of arr){
-    const league = `${f.competition?.area?.name || ''} ${f.competition?.name || ''}`.trim();
+    const league = leagueLabel(f);
     const compId = f.competition?.id;
     const kickoffIso = f.utcDate;
+    if (toLocalLabel(kickoffIso).slice(0,10) !== date) continue;
+    if (only != null && String(compId) !== String(only)) continue;
+    if (!leagueIncluded(LEAGUES, f.competition)) continue;
+    const params = leagueParams(LEAGUES, f.competition, MODEL_PARAMS);
     const hourLocal = localParts(kickoffIso).hh;
-    if (!(hourLocal >= START_HOUR && hourLocal < END_HOUR)) continue;
 
     const homeName = f.homeTeam?.name || '';
     const awayName = f.awayTeam?.name || '';
@@ -273,72 +253,322 @@ async function fetchFixturesToday(withExplain=false){
 
     let primary = 'N/A', alt = '';
     let primaryEdgePct = 0, altEdgePct = 0;
+    let odds = null, ev = null, value = false;
+    let breakdown = null, error = null, warning = null, lambdas = null;
+    const picks = [];
 
     try {
-      const standingsPack = compId ? await getStandings(compId) : { map:new Map(), size:20 };
-      const homeMatches = homeId ? await getLastLeagueMatches(homeId, compId) : [];
-      const awayMatches = awayId ? await getLastLeagueMatches(awayId, compId) : [];
+      resolveTeams(f);
+      const standingsPack = compId ? await getStandings(compId, { fresh }) : { map:new Map(), size:20 };
+      warning = standingsPack.error || null;
+      const homeAll = homeId ? await getTeamMatches(homeId) : [];
+      const awayAll = awayId ? await getTeamMatches(awayId) : [];
+      const homeMatches = lastLeagueMatches(homeAll, compId);
+      const awayMatches = lastLeagueMatches(awayAll, compId);
+      const context = matchContext(f, { homeMatches: homeAll, awayMatches: awayAll, h2hMatches: await getHeadToHead(f) }, params);
       const homeForm = formStatsAdvanced(homeId, homeMatches, standingsPack);
       const awayForm = formStatsAdvanced(awayId, awayMatches, standingsPack);
-      const eg = expectedGoalsAdvanced(homeName, awayName, league, homeForm, awayForm);
-      const choice = chooseStrongest(eg.lh, eg.la);
+      const strengths = compId ? await getStrengths(compId, params, { after: fitAfter }) : { model: null };
+      const strength = strengthGoals(strengths.model, homeId, awayId);
+      const eg = expectedGoalsAdvanced(homeName, awayName, league, homeForm, awayForm, { ratings: RATINGS, params, strength, context });
+      lambdas = { lh: eg.lh, la: eg.la };
+      const quotes = oddsFor(oddsIndex, homeName, awayName, kickoffIso, TEAMS.keyOf);
+      const choice = chooseStrongest(eg.lh, eg.la, params, eg.baseline, quotes);
 
       if (choice?.top) {
         const p1 = Math.round(choice.top.prob * 100);
         primaryEdgePct = Math.round(Math.max(0, choice.top.edge) * 100);
         primary = `${choice.top.market}: ${choice.top.label} (${p1}%)`;
+        picks.push({ rank: 'primary', ...choice.top });
+        if (choice.top.odds) ({ odds, ev, value } = choice.top);
       }
       if (choice?.second) {
         const p2 = Math.round(choice.second.prob * 100);
         altEdgePct = Math.round(Math.max(0, choice.second.edge) * 100);
         alt = `${choice.second.market}: ${choice.second.label} (${p2}%)`;
+        picks.push({ rank: 'alt', ...choice.second });
       }
-    } catch (e) {}
+      breakdown = matchBreakdown({ eg, strength, params, homeForm, awayForm, choice,
+        homeTable: formBreakdown(homeId, homeMatches, standingsPack), awayTable: formBreakdown(awayId, awayMatches, standingsPack) });
+    } catch (e) {
+      error = String(e.message || e);
+      failures.push({ matchId: f.id, home: homeName, away: awayName, error });
+    }
 
+    const started = [...LIVE_STATUSES, 'FINISHED'].includes(f.status);
     rows.push({
+      matchId: f.id, compId, compCode: f.competition?.code || null, status: f.status,
       league, kickoffIso, kickoff: toLocalLabel(kickoffIso),
       hourLocal, home: homeName, away: awayName,
       prediction: primary,
       altPrediction: alt,
       primaryEdgePct,
-      altEdgePct
+      altEdgePct,
+      odds, ev: ev == null ? null : +ev.toFixed(4), value,
+      picks,
+      ...(error ? { error } : {}), ...(warning ? { warning } : {}),
+      ...(started ? { live: livePicks({ ...lambdas, picks }, f, params) } : {})
     });
+    details.push({ matchId: f.id, date, breakdown, lambdas }); // unrounded rates for live repricing
   }
 
   rows.sort((a,b)=> (a.kickoff||'').localeCompare(b.kickoff||''));
-  if (!rows.length && FALLBACK_DEMO) {
+  applyStakes(rows);
+  if (!rows.length && FALLBACK_DEMO && only == null) {
     rows.push({
       league: 'Demo League', kickoff: `${date} 19:00`, hourLocal: 19, home: 'Alpha FC', away: 'Beta United',
       prediction: '1X2: 1 (64%)', altPrediction: 'Over/Under 2.5: Over 2.5 (58%)',
       primaryEdgePct: 31, altEdgePct: 8
     });
   }
-  return { date, rows, totalFromApi: arr.length, apiUrl: url, status: 200, bodyHead: String(txt).slice(0,300) };
+  await saveTeams();
+  if (failures.length) console.warn(`[fetchFixtures] ${date}: ${failures.length} prediction failures`, failures.map(f => `${f.matchId} ${f.error}`).join('; '));
+  return { date, rows, details, failures: failures.length, totalFromApi: arr.length, provider: PROVIDER.name, source: PROVIDER.source };
+}
+
+// Everything the model computed for one fixture, for /match/:id.
+const r4 = x => x == null ? null : +x.toFixed(4);
+const MATRIX_SHOW = 6;
+function matchBreakdown({ eg, strength, params, homeForm, awayForm, choice, homeTable, awayTable }){
+  const stats = f => ({ ppm: r4(f.ppm), gfpm: r4(f.gfpm), gapm: r4(f.gapm), oppAvgPos: r4(f.oppAvgPos), formStrength: r4(f.formStrength) });
+  return {
+    model: {
+      lh: r4(eg.lh), la: r4(eg.la), seedDiff: r4(eg.seedDiff), homeRating: eg.homeRating, awayRating: eg.awayRating,
+      homeFormFac: eg.homeFormFac, awayFormFac: eg.awayFormFac,
+      baseline: { lh: r4(eg.baseline.lh), la: r4(eg.baseline.la) }, scoreModel: params.scoreModel,
+      strength: strength ? { lh: r4(strength.lh), la: r4(strength.la), weight: eg.strengthWeight, homeAdv: r4(strength.homeAdv),
+        home: { att: r4(strength.home.att), def: r4(strength.home.def), matches: r4(strength.home.n) },
+        away: { att: r4(strength.away.att), def: r4(strength.away.def), matches: r4(strength.away.n) } } : null,
+      context: eg.context ? { home: eg.context.home, away: eg.context.away, h2h: eg.context.h2h,
+        unadjusted: { lh: r4(eg.context.unadjusted.lh), la: r4(eg.context.unadjusted.la) } } : null,
+      league: { baseGpm: params.baseGpm ?? null, homeElo: params.homeElo, drawInflation: params.drawInflation || 0 }
+    },
+    form: { home: { ...stats(homeForm), matches: homeTable }, away: { ...stats(awayForm), matches: awayTable } },
+    markets: choice.markets.map(m => ({ market: m.market, label: m.label, prob: r4(m.prob), push: r4(m.push), fairOdds: r4(m.fairOdds),
+      base: r4(m.base), edge: r4(m.edge), odds: m.odds ?? null, ev: r4(m.ev), value: !!m.value })),
+    correctScores: choice.correctScores.map(c => ({ label: c.label, prob: r4(c.prob) })),
+    matrix: choice.matrix.slice(0, MATRIX_SHOW + 1).map(row => row.slice(0, MATRIX_SHOW + 1).map(r4))
+  };
+}
+
+// Kelly stakes for every priced pick of the day, sharing one daily exposure cap.
+function applyStakes(rows){
+  const priced = rows.flatMap(r => (r.picks || []).filter(p => p.odds > 1));
+  const stakes = recommendStakes(priced, { bankroll: BANKROLL, fraction: KELLY_FRACTION, maxExposure: MAX_DAILY_EXPOSURE });
+  priced.forEach((p, i) => Object.assign(p, stakes[i]));
+  for (const r of rows){
+    const top = (r.picks || []).find(p => p.rank === 'primary');
+    r.stakePct = top?.stakePct ?? null;
+  }
+}
+
+// ---------- Prediction ledger
+const LEDGER = await loadLedger(LEDGER_FILE);
+
+// Only picks published before kickoff go on the record.
+async function recordRows(rows){
+  const now = Date.now();
+  const entries = [];
+  for (const r of rows){
+    if (r.matchId == null || !(Date.parse(r.kickoffIso) > now)) continue;
+    if (leagueExcluded(OVERRIDES, r) || pickOverride(OVERRIDES, r.matchId)?.hidden) continue;
+    for (const p of r.picks || []) {
+      const round = x => x == null ? null : +x.toFixed(4);
+      entries.push({ matchId: r.matchId, compId: r.compId, date: toLocalLabel(r.kickoffIso).slice(0,10), kickoffIso: r.kickoffIso,
+        league: r.league, home: r.home, away: r.away, rank: p.rank, market: p.market, label: p.label,
+        prob: round(p.prob), edge: round(p.edge), edgeSource: p.edgeSource, odds: p.odds ?? null, fair: round(p.fair), ev: round(p.ev), value: !!p.value, stakePct: p.stakePct ?? null });
+    }
+  }
+  return recordPicks(LEDGER, entries);
+}
+
+async function settleLedger(){
+  if (!PROVIDER.configured) return { settled: 0, reason: 'provider_not_configured' };
+  const ids = [...new Set(unsettled(LEDGER, Date.now() - 2*3600*1000).map(p => p.matchId))];
+  if (!ids.length) return { settled: 0, pending: 0 };
+  const matches = await PROVIDER.results({ ids });
+  const settled = await settlePicks(LEDGER, matches);
+  return { settled, pending: ids.length };
 }
 
 // ---------- Cache & schedule
-let CACHE = { date: null, rows: [], savedAt: null };
-async function warmCache() {
+// One entry per local date. Today's entry lives until the midnight re-warm; other dates
+// are re-fetched once older than CACHE_TTL_HOURS.
+const CACHE = new Map();
+const WARMING = new Map();
+const MATCH_DETAILS = new Map(); // matchId -> { date, breakdown, lambdas }
+const CACHE_TTL_MS = parseFloat(process.env.CACHE_TTL_HOURS || '6') * 3600*1000;
+const CACHE_KEEP_DAYS = 7;
+const MAX_RANGE_DAYS = 10;
+const MAX_DAYS_AWAY = 30;
+
+async function warmCache(date = todayYMD(), opts = {}) {
+  let entry;
   try { 
-    const fresh = await fetchFixturesToday(false);
-    CACHE = { ...fresh, savedAt: new Date().toISOString() };
-    console.log(`[warmCache] ${fresh.rows.length} rows; api status=${fresh.status}`);
+    const { details = [], ...fresh } = await fetchFixtures(date, opts);
+    entry = { ...fresh, savedAt: new Date().toISOString() };
+    for (const d of details) MATCH_DETAILS.set(String(d.matchId), d);
+    const recorded = await recordRows(fresh.rows).catch(e => { console.error('[ledger] record failed', e); return 0; });
+    console.log(`[warmCache] ${date}: ${fresh.rows.length} rows; failures=${fresh.failures ?? 0}; provider=${fresh.provider ?? fresh.reason}; ledger +${recorded}`);
+    notifyDay(date, fresh.rows);
   }
   catch (e) { 
-    CACHE = { date: todayYMD(), rows: [], savedAt: new Date().toISOString(), error: String(e.message || e) };
+    entry = { date, rows: [], savedAt: new Date().toISOString(), error: String(e.message || e) };
     console.error('[warmCache] error', e);
   }
+  CACHE.set(date, entry);
+  broadcastRefresh(date);
+  const oldest = addDaysYMD(todayYMD(), -CACHE_KEEP_DAYS);
+  for (const d of CACHE.keys()) if (d < oldest) CACHE.delete(d);
+  for (const [id, d] of MATCH_DETAILS) if (d.date < oldest) MATCH_DETAILS.delete(id);
+  return entry;
+}
+// Re-predicts one competition inside a cached day and splices it in; stakes are re-shared
+// across the whole day because the exposure cap is daily.
+async function refreshCompetition(date, compId){
+  const entry = CACHE.get(date);
+  if (!entry || entry.error) return warmCache(date, { fresh: true });
+  let details, rows;
+  try { ({ details = [], rows } = await fetchFixtures(date, { only: compId, fresh: true })); }
+  catch (e) {
+    console.error(`[refreshCompetition] ${date} ${compId}: kept the cached day`, e);
+    return entry;
+  }
+  const merged = entry.rows.filter(r => r.matchId != null && String(r.compId) !== String(compId)).concat(rows)
+    .sort((a,b)=> (a.kickoff||'').localeCompare(b.kickoff||''));
+  applyStakes(merged);
+  for (const d of details) MATCH_DETAILS.set(String(d.matchId), d);
+  const next = { ...entry, rows: merged, savedAt: new Date().toISOString() };
+  CACHE.set(date, next);
+  broadcastRefresh(date);
+  await recordRows(rows).catch(e => console.error('[ledger] record failed', e));
+  notifyDay(date, merged);
+  console.log(`[refreshCompetition] ${date} ${compId}: ${rows.length} rows`);
+  return next;
+}
+// ---------- Notifications
+// Instant subscribers on every (re)built day, in the background; everyone on NOTIFY_CRON.
+const NOTIFIER = createNotifier({ configFile: NOTIFY_FILE, logFile: NOTIFY_LOG_FILE, leagues: LEAGUES });
+function notifyDay(date, rows, opts = {}){
+  return NOTIFIER.notify(publishRows(OVERRIDES, rows), { date, trigger: 'instant', ...opts })
+    .then(r => {
+      const sent = r.results.filter(x => x.sent);
+      if (sent.length) console.log(`[notify] ${date} ${opts.trigger || 'instant'}: ${sent.map(x => `${x.id}+${x.picks}`).join(', ')}`);
+      return r;
+    })
+    .catch(e => { console.error('[notify] error', e); return { results: [], error: String(e.message || e) }; });
+}
+
+function cachedDay(date){
+  const e = CACHE.get(date);
+  if (e && !e.error && (date === todayYMD() || Date.now() - Date.parse(e.savedAt) < CACHE_TTL_MS)) return Promise.resolve(e);
+  if (!WARMING.has(date)) WARMING.set(date, warmCache(date).finally(() => WARMING.delete(date)));
+  return WARMING.get(date);
+}
+// ---------- Live
+// While a cached match is (or should be) in progress, poll the provider once a minute,
+// re-price its published picks for the time left and push them to /api/live subscribers.
+const LIVE_CLIENTS = new Set();
+const LIVE_MAX_CLIENTS = parseInt(process.env.LIVE_MAX_CLIENTS || '1000', 10); // open /api/live streams; pages work without
+const LIVE_WINDOW_MS = 3*3600*1000; // from kickoff; covers the break, stoppage time and late reports
+function liveCandidates(now = Date.now()){
+  const today = todayYMD();
+  return [addDaysYMD(today, -1), today].flatMap(d => CACHE.get(d)?.rows || []).filter(r => {
+    const ko = Date.parse(r.kickoffIso);
+    return r.matchId && r.status !== 'FINISHED' && now >= ko - 60*1000 && now - ko < LIVE_WINDOW_MS;
+  });
+}
+async function pollLive(now = Date.now()){
+  const rows = liveCandidates(now);
+  if (!rows.length || !PROVIDER.configured) return 0;
+  const byId = new Map(rows.map(r => [String(r.matchId), r]));
+  const today = todayYMD();
+  const matches = await PROVIDER.live({ dateFrom: addDaysYMD(today, -1), dateTo: addDaysYMD(today, 1) });
+  const updates = [];
+  for (const m of matches){
+    const row = byId.get(String(m.id));
+    if (!row) continue;
+    const rates = MATCH_DETAILS.get(String(m.id))?.lambdas;
+    row.status = m.status;
+    const params = leagueParams(LEAGUES, { id: row.compId, code: row.compCode }, MODEL_PARAMS);
+    row.live = livePicks({ lh: rates?.lh, la: rates?.la, picks: row.picks || [] }, m, params, now);
+    updates.push({ matchId: row.matchId, status: row.status, live: row.live });
+  }
+  if (updates.length) broadcastLive('live', { updates });
+  return updates.length;
+}
+function sseWrite(res, event, data){ res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); }
+function broadcastLive(event, data){ for (const res of LIVE_CLIENTS) sseWrite(res, event, data); }
+// Open pages only show the days around today (a visitor west of TZ is still on yesterday), so
+// rebuilds of other dates (crawled /day pages, admin refreshes) do not make every tab reload.
+function broadcastRefresh(date){
+  if (Math.abs(daysBetween(todayYMD(), date)) <= 1) broadcastLive('refresh', { date });
+}
+
+// ---------- Jobs (registered by start(), never on import)
+function scheduleJobs(){
+  const ping = setInterval(() => { for (const res of LIVE_CLIENTS) res.write(': ping\n\n'); }, 25*1000).unref();
+  const tasks = [];
+  const job = (expr, fn) => tasks.push(cron.schedule(expr, fn, { timezone: TZ }));
+  job('* * * * *', async () => {
+    try { await pollLive(); } catch (e) { console.error('[live] poll failed', e.message); }
+  });
+  job('1 0 * * *', async () => { await warmCache(); });
+  job('30 6 * * *', async () => {
+    try {
+      const r = await updateRatings();
+      console.log(`[updateRatings] applied=${r.applied}${r.reason ? ` (${r.reason})` : ` from ${r.matches} results`}`);
+    } catch (e) { console.error('[updateRatings] error', e); }
+  });
+  job(NOTIFY_CRON, async () => {
+    const date = todayYMD();
+    await notifyDay(date, (await cachedDay(date)).rows, { trigger: 'scheduled' });
+  });
+  job('40 3 * * *', async () => {
+    if (!PROVIDER.pruneCache) return;
+    const removed = await PROVIDER.pruneCache(CACHE_MAX_AGE);
+    if (removed) console.log(`[fdclient] pruned ${removed} cached responses`);
+  });
+  job('15 * * * *', async () => {
+    try {
+      const r = await settleLedger();
+      if (r.settled) console.log(`[settleLedger] settled=${r.settled} of ${r.pending} matches`);
+    } catch (e) { console.error('[settleLedger] error', e); }
+  });
+  return () => { clearInterval(ping); for (const t of tasks) t.stop(); };
 }
-cron.schedule('1 0 * * *', async () => { await warmCache(); }, { timezone: TZ });
+
+// ---------- Locales
+// Every public page is served at /<path> in English and /<locale>/<path> for the others.
+const localized = path => LOCALES.map(l => localePath(l, path));
+function pageLocale(req){
+  const seg = req.path.split('/')[1];
+  return seg !== DEFAULT_LOCALE && LOCALES.includes(seg) ? seg : DEFAULT_LOCALE;
+}
+// { locale, t, path } where path is the locale-free page path
+function pageContext(req){
+  const locale = pageLocale(req);
+  const path = locale === DEFAULT_LOCALE ? req.path : req.path.slice(locale.length + 1) || '/';
+  return { locale, t: translator(locale), path };
+}
+const siteOrigin = req => `https://${req.headers.host || 'www.betestimate.com'}`;
+// JSON for an inline <script>
+const jsonForScript = x => JSON.stringify(x).replace(/</g, '\\u003c');
 
 // ---------- Shared UI bits (Sport Energy Theme)
-const HEAD_META = `
+// `path` (locale-free) adds hreflang alternates for every locale, English as x-default.
+function headMeta(req, { locale = DEFAULT_LOCALE, path = null } = {}){
+  const t = translator(locale);
+  const alternates = path == null ? [] : [...LOCALES.map(l => [l, localePath(l, path)]), ['x-default', path]]
+    .map(([l, href]) => `<link rel="alternate" hreflang="${l}" href="${siteOrigin(req)}${href}" />`);
+  return `
   <meta charset="utf-8" />
   <meta name="google-adsense-account" content="ca-pub-4391382697370741">
   <meta name="google-site-verification" content="Vh8nIeaILeA83-whwJyMp8mIkeCq3kRaHfGdXMbHgK0" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <meta name="description" content="BetEstimate.com — free daily AI football predictions and statistical match analysis: 1X2, Over/Under 2.5, BTTS. Updated automatically." />
-  <meta name="keywords" content="AI football predictions, football betting tips, match probabilities, over under 2.5, BTTS, sports analytics, football data, daily picks, BetEstimate" />
+  <meta name="description" content="${t('meta.description')}" />
+  <meta name="keywords" content="${t('meta.keywords')}" />
+  ${alternates.join('\n  ')}
   <script src="https://cdn.tailwindcss.com"></script>
   <style>
     :root{
@@ -361,93 +591,385 @@ const HEAD_META = `
     .accent-ring { box-shadow: 0 0 0 3px rgba(14,165,233,.15); }
   </style>
 `;
+}
 
-function siteHeader(active='home'){
+// `path` (locale-free) links the same page in the other languages.
+function siteHeader(active='home', locale = DEFAULT_LOCALE, path = null){
+  const t = translator(locale);
   const link = (href, label, key) => `<a class="px-3 py-1.5 rounded text-white/90 hover:text-white" href="${href}">${label}</a>`;
+  const other = path == null ? [] : LOCALES.filter(l => l !== locale)
+    .map(l => `<a class="px-2 py-1 rounded border border-white/40 text-white/90 hover:text-white" hreflang="${l}" href="${localePath(l, path)}">${l.toUpperCase()}</a>`);
   return `
     <header class="rounded-2xl nav-gradient text-white p-4 flex items-center justify-between accent-ring">
       <h1 class="text-xl sm:text-2xl font-extrabold tracking-tight">
-        BetEstimate<span class="badge">.com</span> — Today’s AI Football Picks
+        BetEstimate<span class="badge">.com</span> — ${t('site.tagline')}
       </h1>
       <nav class="text-sm space-x-2">
-        ${link('/', 'Home', 'home')}
-        ${link('/about', 'About', 'about')}
-        ${link('/privacy', 'Privacy', 'privacy')}
-        ${link('/contact', 'Contact', 'contact')}
+        ${link(localePath(locale, '/'), t('nav.home'), 'home')}
+        ${link(localePath(locale, '/performance'), t('nav.performance'), 'performance')}
+        ${link(localePath(locale, '/about'), t('nav.about'), 'about')}
+        ${link(localePath(locale, '/privacy'), t('nav.privacy'), 'privacy')}
+        ${link(localePath(locale, '/contact'), t('nav.contact'), 'contact')}
+        ${other.join('')}
         </nav>
     </header>
   `;
 }
 
-const FOOTER = `
+function footer(locale = DEFAULT_LOCALE){
+  return `
   <footer class="mt-8 text-[12px] text-slate-700">
-    <div class="italic">Use the data at your own risk. Informational picks only — no guarantees.</div>
+    <div class="italic">${translator(locale)('footer.risk')}</div>
     <div class="mt-2">© ${new Date().getFullYear()} BetEstimate.com</div>
   </footer>
 `;
+}
 
 // ---------- Routes: API
-app.get('/api/today', async (_req, res) => {
-  const nowDate = todayYMD();
-  if (CACHE.date !== nowDate) await warmCache();
-  res.json(CACHE);
+// A day as a visitor in `tz` sees it: kickoffs on that local date from START_HOUR on, gathered
+// from the one or two TZ days it overlaps. ?league= (comma-separated competition ids, codes or
+// leagues.json slugs) narrows the rows.
+async function visitorDay(date, { tz = TZ, league } = {}){
+  const start = zonedMidnight(date, tz), end = zonedMidnight(addDaysYMD(date, 1), tz);
+  const serverDates = [...new Set([fmtYMD(new Date(start)), fmtYMD(new Date(end - 1))])];
+  const entries = [];
+  for (const d of serverDates) entries.push(await cachedDay(d));
+  const ids = parseLeagueQuery(LEAGUES, league);
+  const inDay = (r, d) => {
+    if (!r.kickoffIso) return d === date;
+    const t = Date.parse(r.kickoffIso), hh = localParts(r.kickoffIso, tz).hh;
+    return t >= start && t < end && hh >= START_HOUR && hh < END_HOUR;
+  };
+  const rows = entries.flatMap((e, i) => publishRows(OVERRIDES, e.rows).filter(r => inDay(r, serverDates[i]) && rowInLeagues(r, ids)))
+    .sort((a, b) => (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || (a.kickoffIso || '').localeCompare(b.kickoffIso || ''));
+  const main = entries[serverDates.indexOf(date)] || entries[0];
+  return { ...main, date, tz, serverDates, rows };
+}
+async function visitorRange(from, to, opts = {}){
+  const days = [];
+  for (let i = 0; i <= daysBetween(from, to); i++) days.push(await visitorDay(addDaysYMD(from, i), opts));
+  return { from, to, tz: opts.tz || TZ, rows: days.flatMap(d => d.rows), days: days.map(({ rows, ...meta }) => ({ ...meta, rowCount: rows.length })) };
+}
+// ?tz= IANA zone of the visitor (default TZ); kickoffIso is the time to display.
+function tzParam(req){
+  const tz = req.query.tz ? String(req.query.tz) : TZ;
+  return isValidTz(tz) ? tz : null;
+}
+app.get('/api/today', async (req, res) => {
+  const tz = tzParam(req);
+  if (!tz) return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/London' });
+  res.json(await visitorDay(todayYMD(tz), { tz, league: req.query.league }));
+});
+// Server-sent events: 'live' { updates: [{ matchId, status, live }] } for started matches (the
+// current state on connect, then changes), 'refresh' { date } when a day around today was rebuilt
+// and 'refresh' { matchId } when an admin override changed a cached pick.
+app.get('/api/live', (req, res) => {
+  if (LIVE_CLIENTS.size >= LIVE_MAX_CLIENTS) return res.status(503).set('Retry-After', '60').json({ error: 'too many live connections, try again later' });
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.write('retry: 10000\n\n');
+  const updates = [...CACHE.values()].flatMap(e => publishRows(OVERRIDES, e.rows || [])).filter(r => r.live).map(r => ({ matchId: r.matchId, status: r.status, live: r.live }));
+  sseWrite(res, 'live', { updates });
+  LIVE_CLIENTS.add(res);
+  req.on('close', () => LIVE_CLIENTS.delete(res));
+});
+function checkDate(d){
+  if (!isValidYMD(d)) return 'dates must be YYYY-MM-DD';
+  if (Math.abs(daysBetween(todayYMD(), d)) > MAX_DAYS_AWAY) return `dates must be within ${MAX_DAYS_AWAY} days of today`;
+  return null;
+}
+app.get('/api/fixtures', async (req, res) => {
+  const { date, from, to, league } = req.query;
+  const tz = tzParam(req);
+  if (!tz) return res.status(400).json({ error: 'tz must be an IANA time zone such as Europe/London' });
+  if (date) {
+    const err = checkDate(String(date));
+    if (err) return res.status(400).json({ error: err });
+    return res.json(await visitorDay(String(date), { tz, league }));
+  }
+  if (!from || !to) return res.status(400).json({ error: 'date or from and to are required' });
+  const err = checkDate(String(from)) || checkDate(String(to));
+  if (err) return res.status(400).json({ error: err });
+  const span = daysBetween(String(from), String(to));
+  if (span < 0 || span >= MAX_RANGE_DAYS) return res.status(400).json({ error: `from..to must span 1-${MAX_RANGE_DAYS} days` });
+  res.json(await visitorRange(String(from), String(to), { tz, league }));
+});
+function findMatch(id){
+  const d = MATCH_DETAILS.get(String(id));
+  const row = d && publishRows(OVERRIDES, CACHE.get(d.date)?.rows.filter(r => String(r.matchId) === String(id)))[0];
+  return row ? { ...row, breakdown: d.breakdown } : null;
+}
+app.get('/api/match/:id', (req, res) => {
+  const m = findMatch(req.params.id);
+  if (!m) return res.status(404).json({ error: 'match not found in the current fixture cache' });
+  res.json(m);
+});
+
+// ---------- Accumulators
+// Legs are priced from the same joint scoreline matrix the picks came from; only matches that
+// have not kicked off can be combined.
+const PRE_MATCH = ['SCHEDULED', 'TIMED'];
+function matrixForMatch(id){
+  const m = findMatch(id);
+  if (!m?.breakdown || (m.status && !PRE_MATCH.includes(m.status))) return null;
+  const params = leagueParams(LEAGUES, { id: m.compId, code: m.compCode }, MODEL_PARAMS);
+  return scorelineFor(m.breakdown.model.lh, m.breakdown.model.la, params);
+}
+function describeLegs(acc){
+  const legs = acc.legs.map(l => {
+    const m = findMatch(l.matchId);
+    return { ...l, prob: r4(l.prob), home: m?.home, away: m?.away, league: m?.league, kickoffIso: m?.kickoffIso };
+  });
+  return { ...acc, legs, prob: r4(acc.prob), fairOdds: r4(acc.fairOdds), naiveProb: r4(acc.naiveProb),
+    correlation: r4(acc.correlation), ...(acc.baseProb != null ? { baseProb: r4(acc.baseProb), lift: r4(acc.lift) } : {}) };
+}
+// body: { legs: [{ matchId, market, label }] }
+app.post('/api/accumulator', (req, res) => {
+  try { res.json(describeLegs(priceAccumulator(req.body?.legs, matrixForMatch))); }
+  catch (e) { res.status(400).json({ error: e.message }); }
+});
+// Best 2–4 leg combos from the day's primary and alt picks that clear minProb.
+app.get('/api/accumulator/auto', async (req, res) => {
+  const date = req.query.date ? String(req.query.date) : todayYMD();
+  const err = checkDate(date);
+  if (err) return res.status(400).json({ error: err });
+  const minProb = req.query.minProb != null ? parseFloat(req.query.minProb) : 0.3;
+  const minLegs = parseInt(req.query.minLegs || '2', 10), maxLegs = parseInt(req.query.maxLegs || '4', 10);
+  if (!(minProb > 0 && minProb < 1)) return res.status(400).json({ error: 'minProb must be in (0, 1)' });
+  if (!(minLegs >= 2 && maxLegs <= 4 && minLegs <= maxLegs)) return res.status(400).json({ error: 'legs must be within 2-4' });
+  const day = await visitorDay(date, { league: req.query.league });
+  const candidates = day.rows.filter(r => r.matchId != null && PRE_MATCH.includes(r.status))
+    .flatMap(r => (r.picks || []).map(p => ({ matchId: r.matchId, market: p.market, label: p.label, prob: p.prob, base: p.base })));
+  const combos = buildAccumulators(candidates, matrixForMatch, { minProb, minLegs, maxLegs, limit: 10 });
+  res.json({ date, minProb, candidates: candidates.length, combos: combos.map(describeLegs) });
+});
+
+app.get('/api/performance', (req, res) => {
+  const q = req.query;
+  const filters = {};
+  if (q.league) filters.league = String(q.league);
+  if (q.from) filters.from = String(q.from);
+  if (q.to) filters.to = String(q.to);
+  if (q.rank) filters.rank = String(q.rank);
+  if ((filters.from && !YMD_RE.test(filters.from)) || (filters.to && !YMD_RE.test(filters.to))) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  }
+  if (filters.rank && !['primary', 'alt'].includes(filters.rank)) return res.status(400).json({ error: 'rank must be primary or alt' });
+  res.json(performanceReport([...LEDGER.picks.values()], filters));
+});
+app.get('/api/bankroll', (req, res) => {
+  const q = req.query;
+  const filters = {};
+  for (const k of ['league', 'from', 'to', 'rank']) if (q[k]) filters[k] = String(q[k]);
+  if ((filters.from && !YMD_RE.test(filters.from)) || (filters.to && !YMD_RE.test(filters.to))) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD' });
+  }
+  const bankroll = q.bankroll ? parseFloat(q.bankroll) : BANKROLL;
+  const maxExposure = q.maxExposure ? parseFloat(q.maxExposure) : MAX_DAILY_EXPOSURE;
+  if (!(bankroll > 0) || !(maxExposure > 0 && maxExposure <= 1)) return res.status(400).json({ error: 'bankroll must be > 0 and maxExposure in (0, 1]' });
+  const fraction = parseKellyFraction(q.kelly, KELLY_FRACTION);
+  res.json(simulateBankroll(filterPicks([...LEDGER.picks.values()], filters), { bankroll, fraction, maxExposure }));
+});
+// ---------- Admin
+// Everything below /admin and /api/admin (and /diag) needs the admin credentials.
+app.use(['/admin', '/api/admin', '/diag'], requireAdmin(ADMIN));
+app.get('/api/admin/cache', (_req, res) => {
+  const days = [...CACHE.entries()].sort(([a],[b])=> a.localeCompare(b)).map(([date, e]) => ({
+    date, rows: e.rows.length, published: publishRows(OVERRIDES, e.rows).length, failures: e.failures ?? 0,
+    savedAt: e.savedAt, error: e.error || null, reason: e.reason || null, warming: WARMING.has(date),
+    competitions: [...new Map(e.rows.filter(r => r.compId).map(r => [r.compId, { id: r.compId, code: r.compCode, league: r.league }])).values()],
+  }));
+  res.json({ days, warming: [...WARMING.keys()], overrides: { leagues: OVERRIDES.leagues, picks: OVERRIDES.picks } });
+});
+app.get('/api/admin/rows', async (req, res) => {
+  const date = String(req.query.date || todayYMD());
+  const err = checkDate(date);
+  if (err) return res.status(400).json({ error: err });
+  const e = await cachedDay(date);
+  res.json({ date, rows: e.rows.map(r => ({ matchId: r.matchId, compId: r.compId, compCode: r.compCode, league: r.league, kickoff: r.kickoff,
+    home: r.home, away: r.away, prediction: r.prediction, error: r.error, leagueExcluded: leagueExcluded(OVERRIDES, r), override: pickOverride(OVERRIDES, r.matchId) })) });
+});
+// Refreshes run in the background (a full day can take minutes at the free-tier rate limit).
+app.post('/api/admin/refresh', (req, res) => {
+  const date = String(req.body?.date || todayYMD());
+  const compId = req.body?.compId ? String(req.body.compId) : null;
+  const err = checkDate(date);
+  if (err) return res.status(400).json({ error: err });
+  if (WARMING.has(date)) return res.status(409).json({ error: `${date} is already refreshing` });
+  const job = compId ? refreshCompetition(date, compId) : warmCache(date, { fresh: true });
+  WARMING.set(date, job.finally(() => WARMING.delete(date)));
+  res.status(202).json({ started: true, date, compId });
+});
+// Runs the scheduled notification pass for a cached day now; dryRun only reports who would get what.
+app.post('/api/admin/notify', async (req, res) => {
+  const date = String(req.body?.date || todayYMD());
+  const err = checkDate(date);
+  if (err) return res.status(400).json({ error: err });
+  res.json({ date, ...(await notifyDay(date, (await cachedDay(date)).rows, { trigger: 'scheduled', dryRun: !!req.body?.dryRun })) });
+});
+app.get('/api/admin/ratings', (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.json({ teams: [] });
+  const key = TEAMS.keyOf(q);
+  const teams = Object.entries(RATINGS.teams)
+    .filter(([name]) => TEAMS.keyOf(name).includes(key))
+    .slice(0, 20).map(([name, t]) => ({ name, ...t }));
+  res.json({ teams, seed: SEED_ELO[key] ?? null });
+});
+app.post('/api/admin/ratings', async (req, res) => {
+  const team = String(req.body?.team || '').trim();
+  const elo = parseFloat(req.body?.elo);
+  if (!team || !(elo >= 800 && elo <= 2400)) return res.status(400).json({ error: 'team and elo (800-2400) are required' });
+  const entry = setRating(RATINGS, team, elo);
+  await saveRatings(RATINGS);
+  res.json({ team, ...entry, note: 'cached predictions change after the next refresh of their date' });
+});
+app.post('/api/admin/leagues', async (req, res) => {
+  const league = String(req.body?.league || '').trim();
+  if (!league) return res.status(400).json({ error: 'league (competition id, code or name) is required' });
+  const leagues = setLeagueFilter(OVERRIDES, league, req.body?.excluded !== false);
+  await saveOverrides(OVERRIDES);
+  res.json({ leagues });
+});
+app.post('/api/admin/picks/:matchId', async (req, res) => {
+  const matchId = String(req.params.matchId);
+  if (!/^\d+$/.test(matchId)) return res.status(400).json({ error: 'matchId must be numeric' });
+  const { hidden, pinned, note } = req.body || {};
+  const override = setPickOverride(OVERRIDES, matchId, { hidden, pinned, note });
+  await saveOverrides(OVERRIDES);
+  const live = [...CACHE.values()].some(e => e.rows.some(r => String(r.matchId) === matchId));
+  if (live) broadcastLive('refresh', { matchId });
+  res.json({ matchId, override });
+});
+
+// Registry teams that started from the default rating (no rating or seed name matched), with
+// where they stand now, plus fuzzy matches worth a second look.
+app.get('/api/admin/unmatched-teams', (_req, res) => {
+  const teams = TEAMS.entries().map(t => {
+    const rating = ratingOf(RATINGS, t.name);
+    const seed = SEED_ELO[t.key];
+    return { ...t, elo: rating ?? seed ?? 1500, games: RATINGS.teams[RATINGS.index.get(t.key)]?.games ?? 0,
+      source: rating != null ? 'ratings' : seed != null ? 'seed' : 'default' };
+  });
+  const unmatched = teams.filter(t => t.matchedBy === 'none' || t.source === 'default')
+    .sort((a,b)=> (b.seenAt||'').localeCompare(a.seenAt||'') || a.name.localeCompare(b.name));
+  res.json({ total: teams.length, unmatched, fuzzy: teams.filter(t => t.matchedBy === 'fuzzy') });
 });
 app.get('/diag', async (_req, res) => {
-  const fresh = await fetchFixturesToday(false);
-  res.json({ tz: TZ, startHour: START_HOUR, url: fresh.apiUrl, status: fresh.status, totalFromApi: fresh.totalFromApi, cacheRows: CACHE.rows?.length || 0, cacheDate: CACHE.date, savedAt: CACHE.savedAt, bodyHead: fresh.bodyHead });
+  let fresh;
+  try { fresh = await fetchFixtures(todayYMD()); }
+  catch (e) { fresh = { error: String(e.message || e) }; }
+  const today = CACHE.get(todayYMD());
+  res.json({ tz: TZ, startHour: START_HOUR, provider: PROVIDER.name, source: PROVIDER.source, reason: fresh.reason, totalFromApi: fresh.totalFromApi, cacheRows: today?.rows?.length || 0, cacheDates: [...CACHE.keys()], savedAt: today?.savedAt, ratingsTeams: RATINGS.index.size, ratingsUpdatedAt: RATINGS.updatedAt, modelRevision: MODEL_CONFIG?.revision ?? null, failures: fresh.failures ?? 0, error: fresh.error, api: PROVIDER.stats?.() ?? null });
 });
 
 // ---------- Pages
-app.get('/', (_req, res) => {
-  const INDEX_HTML = `<!doctype html>
-<html lang="en">
+// Day tabs shared by the home, /day/:date and /weekend pages.
+function dayTabs(active, locale = DEFAULT_LOCALE){
+  const t = translator(locale);
+  const today = todayYMD();
+  const [sat, sun] = weekendRange(today);
+  const tabs = [
+    { key: addDaysYMD(today, -1), href: localePath(locale, `/day/${addDaysYMD(today, -1)}`), label: t('tabs.yesterday') },
+    { key: today, href: localePath(locale, '/'), label: t('tabs.today') },
+    { key: addDaysYMD(today, 1), href: localePath(locale, `/day/${addDaysYMD(today, 1)}`), label: t('tabs.tomorrow') },
+    { key: 'weekend', href: localePath(locale, '/weekend'), label: t('tabs.weekend', { from: sat.slice(5), to: sun.slice(5) }) },
+  ];
+  return `<nav class="flex flex-wrap gap-2 text-sm">${tabs.map(t => t.key === active
+    ? `<span class="px-3 py-1.5 rounded-full nav-gradient text-white font-semibold">${t.label}</span>`
+    : `<a class="px-3 py-1.5 rounded-full bg-white shadow text-slate-700 hover:text-slate-900" href="${t.href}">${t.label}</a>`).join('')}</nav>`;
+}
+
+// The same markup as the page script's render(), in TZ, so crawlers see the picks; the script
+// replaces it with the visitor's time zone and live state once /api data arrives.
+function rowsHtml(rows, locale){
+  const t = translator(locale);
+  if (!rows.length) return `<tr><td colspan="7" class="p-3 text-slate-500">${t('client.noRows')}</td></tr>`;
+  const edgeClass = e => e >= 10 ? 'edge-strong' : e >= 5 ? 'edge-medium' : 'edge-low';
+  const link = (r, text) => r.matchId != null ? `<a class="hover:underline" href="${localePath(locale, `/match/${r.matchId}`)}">${esc(text)}</a>` : esc(text);
+  const pick = (r, rank, fallback) => {
+    const p = (r.picks || []).find(x => x.rank === rank);
+    return esc(p ? pickText(locale, p) : fallback || '');
+  };
+  const badge = (cls, text) => `<span class="mr-1 px-1.5 py-0.5 rounded text-[11px] font-semibold ${cls} text-slate-900">${text}</span>`;
+  const odds = r => !r.odds ? '<span class="opacity-50">–</span>'
+    : `${Number(r.odds).toFixed(2)} · EV ${r.ev >= 0 ? '+' : ''}${Math.round(r.ev*100)}%${r.value ? ' ' + badge('bg-lime-400', t('client.value')) : ''}`;
+  return rows.map(r => `<tr class="border-b last:border-0 ${edgeClass(Number(r.primaryEdgePct || 0))}">` +
+    `<td class="p-3 whitespace-nowrap">${r.kickoffIso ? `<time datetime="${r.kickoffIso}">${esc(r.kickoff)}</time>` : esc(r.kickoff)}</td>` +
+    `<td class="p-3">${esc(r.league)}</td><td class="p-3 font-medium">${link(r, r.home)}</td><td class="p-3">${link(r, r.away)}</td>` +
+    `<td class="p-3">${r.pinned ? badge('bg-amber-300', t('client.pinned')) : ''}${pick(r, 'primary', r.prediction)}` +
+      `${r.editorNote ? `<div class="text-[11px] italic text-slate-700">${esc(t('client.editor') + r.editorNote)}</div>` : ''}</td>` +
+    `<td class="p-3 opacity-80">${pick(r, 'alt', r.altPrediction)}</td><td class="p-3 whitespace-nowrap">${odds(r)}</td></tr>`).join('\n');
+}
+// schema.org SportsEvent per fixture with a match page
+function eventsLd(req, rows, locale){
+  const events = rows.filter(r => r.matchId != null && r.kickoffIso).map(r => {
+    const p = (r.picks || []).find(x => x.rank === 'primary');
+    return sportsEvent(r, { url: siteOrigin(req) + localePath(locale, `/match/${r.matchId}`), description: p ? pickText(locale, p) : r.prediction });
+  });
+  return events.length ? `<script type="application/ld+json">${jsonForScript(jsonLd(events))}</script>` : '';
+}
+
+// Rows arrive server-rendered (rows) and are re-rendered in the browser: kickoff times in the
+// visitor's time zone (sent as ?tz=), market names and labels through the locale's tables.
+function indexHtml(req, { title, tab, apiUrl, heading, intro = '', rows = [] }){
+  const { locale, t, path } = pageContext(req);
+  return `<!doctype html>
+<html lang="${locale}">
 <head>
-  <title>BetEstimate.com — Today’s AI Football Picks</title>
-  ${HEAD_META}
+  <title>${title}</title>
+  ${headMeta(req, { locale, path })}
+  ${eventsLd(req, rows, locale)}
 </head>
 <body class="text-slate-900">
   <div class="max-w-7xl mx-auto p-4 space-y-4">
 
     <div class="bg-white rounded-2xl shadow p-4 flex items-center justify-center min-h-20">
       <div class="text-center text-slate-600 text-xs">
-        <div class="uppercase tracking-wide">Ad Space</div>
+        <div class="uppercase tracking-wide">${t('ad.space')}</div>
         <div>728×90 / 970×90</div>
       </div>
     </div>
 
-    ${siteHeader('home')}
+    ${siteHeader('home', locale, path)}
+
+    ${dayTabs(tab, locale)}
+    ${heading ? `<h2 class="text-lg font-semibold text-slate-800">${heading}</h2>` : ''}
+    ${intro ? `<div class="text-sm text-slate-700 space-y-1">${intro}</div>` : ''}
 
     <div class="grid grid-cols-1 lg:grid-cols-12 gap-4">
 
       <aside class="lg:col-span-2 space-y-4">
         <div class="bg-white rounded-2xl shadow p-4 flex items-center justify-center min-h-40">
           <div class="text-center text-slate-600 text-xs">
-            <div class="uppercase tracking-wide">Ad Space</div>
+            <div class="uppercase tracking-wide">${t('ad.space')}</div>
             <div>300×250 / 160×600</div>
           </div>
         </div>
       </aside>
 
-      <main class="lg:col-span-8">
+      <main class="lg:col-span-8 space-y-3">
+        <div id="chips" class="flex flex-wrap gap-2 text-xs"></div>
+        <div id="tzNote" class="text-[11px] text-slate-600"></div>
         <div class="overflow-x-auto bg-white rounded-2xl shadow">
           <table class="min-w-full text-sm" id="tbl">
             <thead class="bg-slate-100 sticky">
               <tr class="text-slate-700">
-                <th class="text-left p-3">Kickoff</th>
-                <th class="text-left p-3">League</th>
-                <th class="text-left p-3">Home</th>
-                <th class="text-left p-3">Away</th>
-                <th class="text-left p-3">Prediction</th>
-                <th class="text-left p-3">Alt pick</th>
+                <th class="text-left p-3">${t('table.kickoff')}</th>
+                <th class="text-left p-3">${t('table.league')}</th>
+                <th class="text-left p-3">${t('table.home')}</th>
+                <th class="text-left p-3">${t('table.away')}</th>
+                <th class="text-left p-3">${t('table.prediction')}</th>
+                <th class="text-left p-3">${t('table.alt')}</th>
+                <th class="text-left p-3">${t('table.odds')}</th>
               </tr>
             </thead>
-            <tbody id="rows"></tbody>
+            <tbody id="rows">${rowsHtml(rows, locale)}</tbody>
           </table>
         </div>
 
         <div class="mt-4 bg-white rounded-2xl shadow p-4 flex items-center justify-center min-h-24">
           <div class="text-center text-slate-600 text-xs">
-            <div class="uppercase tracking-wide">Ad Space</div>
+            <div class="uppercase tracking-wide">${t('ad.space')}</div>
             <div>468×60 / 320×100</div>
           </div>
         </div>
@@ -455,25 +977,29 @@ app.get('/', (_req, res) => {
         <div class="mt-3 text-[12px] text-slate-700 font-medium flex flex-wrap gap-4">
           <span class="inline-flex items-center">
             <span class="inline-block w-4 h-4 rounded mr-1" style="background:#d9f99d"></span>
-            Strong signal (edge ≥ 10)
+            ${t('legend.strong')}
           </span>
           <span class="inline-flex items-center">
             <span class="inline-block w-4 h-4 rounded mr-1" style="background:#e0f2fe"></span>
-            Medium signal (5–9)
+            ${t('legend.medium')}
           </span>
           <span class="inline-flex items-center">
             <span class="inline-block w-4 h-4 rounded mr-1" style="background:#f8fafc"></span>
-            Low signal (< 5)
+            ${t('legend.low')}
+          </span>
+          <span class="inline-flex items-center">
+            <span class="px-1.5 py-0.5 rounded text-[11px] font-semibold bg-lime-400 text-slate-900 mr-1">${t('client.value')}</span>
+            ${t('legend.value')}
           </span>
         </div>
 
-        ${FOOTER}
+        ${footer(locale)}
       </main>
 
       <aside class="lg:col-span-2 space-y-4">
         <div class="bg-white rounded-2xl shadow p-4 flex items-center justify-center min-h-40">
           <div class="text-center text-slate-600 text-xs">
-            <div class="uppercase tracking-wide">Ad Space</div>
+            <div class="uppercase tracking-wide">${t('ad.space')}</div>
             <div>300×250</div>
           </div>
         </div>
@@ -482,108 +1008,565 @@ app.get('/', (_req, res) => {
   </div>
 
   <script>
+    const LOCALE = ${jsonForScript(locale)}, T = ${jsonForScript(clientStrings(locale))}, MT = ${jsonForScript(MARKET_TABLES[locale])};
+    const MATCH_BASE = ${jsonForScript(localePath(locale, '/match/'))};
+    const TZ = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+    const translate = (pairs, s) => { for (const [re, to] of pairs) { const x = new RegExp(re); if (x.test(s)) return s.replace(x, to); } return s; };
+    const pct = (p, digits = 0) => new Intl.NumberFormat(LOCALE, { style: "percent", maximumFractionDigits: digits }).format(p);
+    const pickText = p => translate(MT.markets, p.market) + ": " + translate(MT.labels, p.label) + " (" + pct(p.prob) + ")";
+    const kickoffFmt = new Intl.DateTimeFormat(LOCALE, { timeZone: TZ, day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+    const esc = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
     function rowClass(edge){
       if (edge >= 10) return 'edge-strong';
       if (edge >= 5)  return 'edge-medium';
       return 'edge-low';
     }
+    function matchLink(r, text){
+      return r.matchId ? "<a class='hover:underline' href='" + MATCH_BASE + r.matchId + "'>" + (text||"") + "</a>" : (text||"");
+    }
+    function oddsCell(r){
+      if (!r.odds) return "<span class='opacity-50'>–</span>";
+      const ev = (r.ev >= 0 ? "+" : "") + Math.round(r.ev*100) + "%";
+      const flag = r.value ? " <span class='ml-1 px-1.5 py-0.5 rounded text-[11px] font-semibold bg-lime-400 text-slate-900'>" + T["client.value"] + "</span>" : "";
+      const stake = r.stakePct ? " · " + T["client.stake"] + " " + pct(r.stakePct / 100, 1) : "";
+      return Number(r.odds).toFixed(2) + " · EV " + ev + stake + flag;
+    }
+    const LIVE = {};
+    let lastRows = [], serverDates = []; // the server days behind the rows, matched against refresh events
+    let league = new URLSearchParams(location.search).get("league") || "";
+    const leagueKey = r => String(r.compCode || r.compId || "");
+    function renderChips(){
+      const seen = new Map();
+      for (const r of lastRows) if (leagueKey(r) && !seen.has(leagueKey(r))) seen.set(leagueKey(r), r.league);
+      if (league && !seen.has(league)) league = "";
+      const chip = (key, label) => "<button data-league='" + key + "' class='px-3 py-1 rounded-full shadow " +
+        (key === league ? "nav-gradient text-white font-semibold" : "bg-white text-slate-700 hover:text-slate-900") + "'>" + label + "</button>";
+      document.getElementById("chips").innerHTML = seen.size > 1 ? chip("", T["client.allLeagues"]) + [...seen].map(([k, l]) => chip(k, l)).join("") : "";
+    }
+    document.getElementById("chips").addEventListener("click", e => {
+      const b = e.target.closest("button"); if (!b) return;
+      league = b.dataset.league;
+      const u = new URL(location.href);
+      if (league) u.searchParams.set("league", league); else u.searchParams.delete("league");
+      history.replaceState(null, "", u);
+      render();
+    });
+    function kickoffCell(r){
+      const l = LIVE[r.matchId] || r.live;
+      if (!l) return r.kickoffIso ? "<time datetime='" + r.kickoffIso + "'>" + kickoffFmt.format(new Date(r.kickoffIso)) + "</time>" : (r.kickoff||"");
+      const clock = l.status === "FINISHED" ? T["client.ft"] : l.status === "PAUSED" ? T["client.ht"] : l.minute + "'";
+      const badge = l.status === "FINISHED" ? "bg-slate-700" : "bg-red-600 animate-pulse";
+      return "<span class='px-1.5 py-0.5 rounded text-[11px] font-semibold text-white " + badge + "'>" + clock + "</span> " +
+        "<span class='font-semibold'>" + l.score.home + "–" + l.score.away + "</span>";
+    }
+    const TRACK = Object.fromEntries([["won", "✓"], ["half-won", "✓"], ["void", "="], ["half-lost", "✗"], ["lost", "✗"]]
+      .map(([k, mark]) => [k, [mark, ...T["track." + k].split("|")]]));
+    function trackLine(r, rank){
+      const l = LIVE[r.matchId] || r.live;
+      const p = l && (l.picks||[]).find(x => x.rank === rank);
+      if (!p || !TRACK[p.now]) return "";
+      const t = TRACK[p.now], done = l.status === "FINISHED";
+      const prob = done || p.prob == null ? "" : " · " + pct(p.prob) + " " + T["client.toWin"];
+      const color = p.now.endsWith("won") ? "text-lime-700" : p.now.endsWith("lost") ? "text-red-700" : "text-slate-600";
+      return "<div class='text-[11px] font-semibold " + color + "'>" + t[0] + " " + (done ? t[2] : t[1]) + prob + "</div>";
+    }
+    function noteLine(r){
+      if (!r.editorNote) return "";
+      const t = document.createElement("div");
+      t.className = "text-[11px] italic text-slate-700";
+      t.textContent = T["client.editor"] + r.editorNote;
+      return t.outerHTML;
+    }
     async function load(){
-      const res = await fetch("/api/today");
+      const url = new URL(${jsonForScript(apiUrl)}, location.origin);
+      url.searchParams.set("tz", TZ);
+      const res = await fetch(url);
       const data = await res.json();
-      const rows = data.rows || [];
-      document.getElementById("rows").innerHTML = rows.map(r => {
+      lastRows = data.rows || [];
+      serverDates = data.serverDates || (data.days || []).flatMap(d => d.serverDates || []);
+      render();
+    }
+    // picks carry market / label / prob; rows without them (the demo row) keep the English text
+    function pickCell(r, rank, fallback){
+      const p = (r.picks || []).find(x => x.rank === rank);
+      return p ? pickText(p) : (fallback || "");
+    }
+    document.getElementById("tzNote").textContent = T["client.timesIn"].replace("{tz}", TZ);
+    function render(){
+      renderChips();
+      const shown = lastRows.filter(r => !league || leagueKey(r) === league);
+      document.getElementById("rows").innerHTML = shown.length ? shown.map(r => {
         const cls = rowClass(Number(r.primaryEdgePct||0));
         return (
           "<tr class='border-b last:border-0 " + cls + "'>" +
-            "<td class='p-3 whitespace-nowrap'>" + (r.kickoff||"") + "</td>" +
-            "<td class='p-3'>" + (r.league||"") + "</td>" +
-            "<td class='p-3 font-medium'>" + (r.home||"") + "</td>" +
-            "<td class='p-3'>" + (r.away||"") + "</td>" +
-            "<td class='p-3'>" + (r.prediction||"") + "</td>" +
-            "<td class='p-3 opacity-80'>" + (r.altPrediction||"") + "</td>" +
+            "<td class='p-3 whitespace-nowrap'>" + kickoffCell(r) + "</td>" +
+            "<td class='p-3'>" + esc(r.league) + "</td>" +
+            "<td class='p-3 font-medium'>" + matchLink(r, esc(r.home)) + "</td>" +
+            "<td class='p-3'>" + matchLink(r, esc(r.away)) + "</td>" +
+            "<td class='p-3'>" + (r.pinned ? "<span class='mr-1 px-1.5 py-0.5 rounded text-[11px] font-semibold bg-amber-300 text-slate-900'>" + T["client.pinned"] + "</span>" : "") +
+              pickCell(r, "primary", r.prediction) + trackLine(r, "primary") + noteLine(r) + "</td>" +
+            "<td class='p-3 opacity-80'>" + pickCell(r, "alt", r.altPrediction) + trackLine(r, "alt") + "</td>" +
+            "<td class='p-3 whitespace-nowrap'>" + oddsCell(r) + "</td>" +
           "</tr>"
         );
-      }).join("");
+      }).join("") : "<tr><td colspan='7' class='p-3 text-slate-500'>" + T["client.noRows"] + "</td></tr>";
     }
     load();
-    setInterval(load, 5*60*1000);
+    const live = new EventSource("/api/live");
+    live.addEventListener("live", e => {
+      for (const u of JSON.parse(e.data).updates || []) LIVE[u.matchId] = u.live;
+      render();
+    });
+    live.addEventListener("refresh", e => {
+      const d = JSON.parse(e.data);
+      if (d.date ? serverDates.includes(d.date) : lastRows.some(r => String(r.matchId) === String(d.matchId))) load();
+    });
   </script>
 </body>
 </html>`;
+}
+
+app.get(localized('/'), async (req, res) => {
+  const { t } = pageContext(req);
+  const { rows } = await visitorDay(todayYMD());
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(indexHtml(req, { title: t('index.title'), tab: todayYMD(), apiUrl: '/api/today', rows }));
+});
+app.get(localized('/day/:date'), async (req, res, next) => {
+  const date = req.params.date;
+  const { locale, t } = pageContext(req);
+  if (checkDate(date)) return next();
+  if (date === todayYMD()) return res.redirect(301, localePath(locale, '/'));
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  const { rows } = await visitorDay(date);
+  res.send(indexHtml(req, { title: t('day.title', { date }), tab: date, apiUrl: `/api/fixtures?date=${date}`, heading: t('day.heading', { date }), rows }));
+});
+app.get(localized('/weekend'), async (req, res) => {
+  const [sat, sun] = weekendRange();
+  const { t } = pageContext(req);
+  const { rows } = await visitorRange(sat, sun);
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.send(INDEX_HTML);
+  res.send(indexHtml(req, { title: t('weekend.title'), tab: 'weekend', apiUrl: `/api/fixtures?from=${sat}&to=${sun}`, heading: t('weekend.heading', { from: sat, to: sun }), rows }));
+});
+// Landing page per leagues.json slug: today's and tomorrow's picks plus the league's track record.
+app.get(localized('/league/:slug'), async (req, res, next) => {
+  const league = LEAGUES.bySlug.get(req.params.slug);
+  if (!league) return next();
+  const { locale, t } = pageContext(req);
+  const today = todayYMD(), tomorrow = addDaysYMD(today, 1);
+  const { rows } = await visitorRange(today, tomorrow, { league: league.slug });
+  const record = performanceReport([...LEDGER.picks.values()], { league: String(league.id) }).overall;
+  const name = esc(league.name);
+  const intro = `<p>${t('league.intro', { league: name, area: esc(league.area || '') })}</p>` + (record.n ? `<p>${t('league.record',
+    { league: name, n: record.n, won: record.won, rate: formatPct(locale, record.hitRate, 1) })} <a class="underline" href="${localePath(locale, '/performance')}?league=${league.id}">${t('league.recordLink')}</a></p>` : '');
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(indexHtml(req, { title: t('league.title', { league: name }), tab: 'league', heading: t('league.heading', { league: name }), intro,
+    apiUrl: `/api/fixtures?from=${today}&to=${tomorrow}&league=${encodeURIComponent(league.slug)}`, rows }));
 });
 
-app.get('/about', (_req, res) => {
+app.get(localized('/performance'), (req, res) => {
+  const { locale, t, path } = pageContext(req);
   const HTML = `<!doctype html>
-<html lang="en">
+<html lang="${locale}">
 <head>
-  <title>About — BetEstimate.com</title>
-  ${HEAD_META}
+  <title>${t('perf.title')}</title>
+  ${headMeta(req, { locale, path })}
 </head>
 <body class="text-slate-900">
   <div class="max-w-4xl mx-auto p-4 space-y-4">
-    ${siteHeader('about')}
-    <main class="bg-white rounded-2xl shadow p-6 space-y-3 text-sm leading-6">
-      <h2 class="text-xl font-semibold">About BetEstimate.com</h2>
-      <p><strong>BetEstimate</strong> provides <em>AI football predictions</em> powered by statistical models and historical data. We combine <em>Poisson goal models</em>, <em>Elo-like team strength</em>, <em>recent form</em>, opponent strength, venue adjustment, and league scoring baselines to estimate probabilities for <strong>1X2</strong>, <strong>Over/Under 2.5 goals</strong>, and <strong>Both Teams To Score</strong>.</p>
-      <p>Our goal is to help fans and analysts explore <em>match probabilities</em> and <em>sports analytics</em> signals. The picks are generated automatically and refreshed daily. Popular topics: AI football predictions, betting insights, football data, match probabilities, sports analytics, daily football picks, BTTS, over/under goals.</p>
-      <p><em>Important:</em> Predictions are informational only and not guarantees of any outcome. Use the data at your own risk.</p>
+    ${siteHeader('performance', locale, path)}
+    <main class="bg-white rounded-2xl shadow p-6 space-y-4 text-sm leading-6">
+      <h2 class="text-xl font-semibold">${t('perf.heading')}</h2>
+      <p>${t('perf.intro')}</p>
+      <form id="filters" class="flex flex-wrap gap-3 items-end">
+        <label class="flex flex-col">${t('perf.league')}
+          <select name="league" class="border rounded px-2 py-1"><option value="">${t('client.allLeagues')}</option></select>
+        </label>
+        <label class="flex flex-col">${t('perf.from')} <input type="date" name="from" class="border rounded px-2 py-1"></label>
+        <label class="flex flex-col">${t('perf.to')} <input type="date" name="to" class="border rounded px-2 py-1"></label>
+        <label class="flex flex-col">${t('perf.picks')}
+          <select name="rank" class="border rounded px-2 py-1">
+            <option value="">${t('perf.both')}</option>
+            <option value="primary">${t('perf.primary')}</option>
+            <option value="alt">${t('perf.alt')}</option>
+          </select>
+        </label>
+        <button class="px-3 py-1.5 rounded nav-gradient text-white">${t('perf.apply')}</button>
+      </form>
+      <div id="summary" class="text-slate-700"></div>
+      <table class="min-w-full text-sm">
+        <thead class="bg-slate-100"><tr class="text-slate-700">
+          <th class="text-left p-2">${t('perf.market')}</th><th class="text-right p-2">${t('perf.settled')}</th><th class="text-right p-2">${t('perf.hitRate')}</th>
+          <th class="text-right p-2">${t('perf.avgProb')}</th><th class="text-right p-2">${t('perf.brier')}</th><th class="text-right p-2">${t('perf.logLoss')}</th>
+        </tr></thead>
+        <tbody id="markets"></tbody>
+      </table>
+      <h3 class="text-lg font-semibold">${t('perf.reliability')}</h3>
+      <table class="min-w-full text-sm">
+        <thead class="bg-slate-100"><tr class="text-slate-700">
+          <th class="text-left p-2">${t('perf.quoted')}</th><th class="text-right p-2">${t('perf.count')}</th>
+          <th class="text-right p-2">${t('perf.avgQuoted')}</th><th class="text-right p-2">${t('perf.observed')}</th>
+        </tr></thead>
+        <tbody id="calib"></tbody>
+      </table>
     </main>
-    ${FOOTER}
+    ${footer(locale)}
   </div>
+  <script>
+    const LOCALE = ${jsonForScript(locale)}, T = ${jsonForScript(clientStrings(locale))}, MT = ${jsonForScript(MARKET_TABLES[locale])};
+    const translate = (pairs, s) => { for (const [re, to] of pairs) { const x = new RegExp(re); if (x.test(s)) return s.replace(x, to); } return s; };
+    const fill = (s, vars) => s.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+    const pct = x => x == null ? "–" : new Intl.NumberFormat(LOCALE, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 }).format(x);
+    const num = x => x == null ? "–" : x.toFixed(3);
+    const form = document.getElementById("filters");
+    const params = new URLSearchParams(location.search);
+    for (const k of ["from","to","rank"]) if (params.get(k)) form.elements[k].value = params.get(k);
+    async function load(){
+      const res = await fetch("/api/performance?" + params.toString());
+      const data = await res.json();
+      if (data.error) { document.getElementById("summary").textContent = data.error; return; }
+      const sel = form.elements.league;
+      if (sel.options.length === 1) {
+        for (const c of data.competitions) sel.add(new Option(c.league, c.id));
+        const want = (params.get("league") || "").toLowerCase();
+        sel.value = (data.competitions.find(c => c.id === want || c.league.toLowerCase() === want) || { id: "" }).id;
+      }
+      const o = data.overall;
+      document.getElementById("summary").textContent =
+        fill(T["perf.summary"], { n: o.n, won: o.won, rate: pct(o.hitRate), pending: data.pending, void: data.void });
+      const rows = [[T["perf.allMarkets"], o]].concat(Object.entries(data.markets).map(([m, s]) => [translate(MT.markets, m), s]));
+      document.getElementById("markets").innerHTML = rows.map(([m, s]) =>
+        "<tr class='border-b last:border-0'><td class='p-2 font-medium'>" + m + "</td>" +
+        "<td class='p-2 text-right'>" + s.n + "</td><td class='p-2 text-right'>" + pct(s.hitRate) + "</td>" +
+        "<td class='p-2 text-right'>" + pct(s.avgProb) + "</td><td class='p-2 text-right'>" + num(s.brier) + "</td>" +
+        "<td class='p-2 text-right'>" + num(s.logLoss) + "</td></tr>").join("");
+      document.getElementById("calib").innerHTML = data.calibration.map(b =>
+        "<tr class='border-b last:border-0'><td class='p-2'>" + Math.round(b.from*100) + "–" + Math.round(b.to*100) + "%</td>" +
+        "<td class='p-2 text-right'>" + b.n + "</td><td class='p-2 text-right'>" + pct(b.predicted) + "</td>" +
+        "<td class='p-2 text-right'>" + pct(b.observed) + "</td></tr>").join("") ||
+        "<tr><td class='p-2 text-slate-500' colspan='4'>" + T["perf.empty"] + "</td></tr>";
+    }
+    load();
+  </script>
 </body>
 </html>`;
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   res.send(HTML);
 });
 
-app.get('/privacy', (_req, res) => {
+// ---------- Match detail page
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+const pctTxt = p => p == null ? '–' : `${(p*100).toFixed(1)}%`;
+
+function heatmapHtml(matrix, home, away){
+  const max = Math.max(...matrix.flat());
+  const head = matrix[0].map((_, j) => `<th class="p-1 w-12 text-center">${j}</th>`).join('');
+  const body = matrix.map((row, i) => `<tr><th class="p-1 text-right pr-2">${i}</th>${row.map(p =>
+    `<td class="p-1 text-center text-[11px] rounded" style="background:rgba(14,165,233,${(p/max).toFixed(3)})">${(p*100).toFixed(1)}</td>`).join('')}</tr>`).join('');
+  return `<table class="text-xs border-separate" style="border-spacing:2px">
+    <thead><tr><th class="p-1 text-right text-slate-500">${esc(home)} ↓ / ${esc(away)} →</th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function formTableHtml(team, f, t){
+  const rows = (f.matches || []).map(m => `<tr class="border-b last:border-0">
+      <td class="p-2 whitespace-nowrap">${m.date}</td><td class="p-2">${m.venue}</td><td class="p-2">${esc(m.opponent)}</td>
+      <td class="p-2 text-right">${m.oppPos ?? '–'}</td><td class="p-2 text-center">${m.score}</td><td class="p-2 font-semibold">${m.result}</td></tr>`).join('')
+    || `<tr><td colspan="6" class="p-2 text-slate-500">${t('form.none')}</td></tr>`;
+  return `<div>
+    <h4 class="font-semibold">${esc(team)}</h4>
+    <div class="text-slate-600 text-xs mb-1">${t('form.summary', { ppm: f.ppm, gf: f.gfpm, ga: f.gapm, pos: f.oppAvgPos, fs: f.formStrength })}</div>
+    <table class="min-w-full text-xs"><thead class="bg-slate-100"><tr>
+      <th class="text-left p-2">${t('form.date')}</th><th class="text-left p-2">${t('form.venue')}</th><th class="text-left p-2">${t('form.opponent')}</th>
+      <th class="text-right p-2">${t('form.oppPos')}</th><th class="p-2">${t('form.score')}</th><th class="text-left p-2">${t('form.result')}</th></tr></thead><tbody>${rows}</tbody></table>
+  </div>`;
+}
+
+function marketsHtml(markets, locale){
+  const groups = new Map();
+  for (const m of markets){
+    if (m.market === 'Correct Score') continue;
+    if (!groups.has(m.market)) groups.set(m.market, []);
+    groups.get(m.market).push(m);
+  }
+  return [...groups].map(([name, sels]) => `<tr class="bg-slate-50"><td colspan="5" class="p-2 font-semibold">${esc(marketName(locale, name))}</td></tr>` +
+    sels.map(m => `<tr class="border-b last:border-0${m.value ? ' edge-strong' : ''}">
+      <td class="p-2 pl-4">${esc(selectionLabel(locale, m.label))}</td><td class="p-2 text-right">${pctTxt(m.prob)}</td><td class="p-2 text-right">${m.fairOdds ?? '–'}</td>
+      <td class="p-2 text-right">${m.odds ? Number(m.odds).toFixed(2) : '–'}</td><td class="p-2 text-right">${m.ev == null ? '–' : pctTxt(m.ev)}</td></tr>`).join('')).join('');
+}
+
+// Picks and market labels in the page's language; the kickoff is shown in the visitor's time zone.
+function matchHtml(m, req){
+  const { locale, t, path } = pageContext(req);
+  const b = m.breakdown;
+  const title = t('match.title', { home: m.home, away: m.away, kickoff: m.kickoff });
+  const pick = rank => {
+    const p = (m.picks || []).find(x => x.rank === rank);
+    return p ? pickText(locale, p) : rank === 'primary' ? m.prediction : m.altPrediction;
+  };
+  const section = (h, inner) => `<section class="bg-white rounded-2xl shadow p-6 space-y-3 text-sm leading-6"><h3 class="text-lg font-semibold">${h}</h3>${inner}</section>`;
+  const rest = c => t('model.rest', { rest: c.restDays == null ? t('model.noRecent') : t('model.restDays', { days: c.restDays }),
+    recent: c.recent, days: MODEL_PARAMS.congestionDays, factor: c.factor });
+  const modelRows = b ? [
+    [t('model.lambda'), `${b.model.lh} / ${b.model.la}`],
+    [t('model.baseline'), `${b.model.baseline.lh} / ${b.model.baseline.la}`],
+    [t('model.rating'), `${b.model.homeRating} / ${b.model.awayRating}`],
+    [t('model.seedDiff'), b.model.seedDiff],
+    [t('model.formFac'), `${b.model.homeFormFac} / ${b.model.awayFormFac}`],
+    ...(b.model.strength ? [
+      [t('model.strength'), `${b.model.strength.lh} / ${b.model.strength.la} (${Math.round(b.model.strength.weight * 100)}%)`],
+      [t('model.attDefHome'), t('model.attDef', { att: b.model.strength.home.att, def: b.model.strength.home.def, n: b.model.strength.home.matches })],
+      [t('model.attDefAway'), t('model.attDef', { att: b.model.strength.away.att, def: b.model.strength.away.def, n: b.model.strength.away.matches })],
+      [t('model.homeAdv'), b.model.strength.homeAdv]] : []),
+    ...(b.model.context ? [
+      [t('model.unadjusted'), `${b.model.context.unadjusted.lh} / ${b.model.context.unadjusted.la}`],
+      [t('model.restHome'), rest(b.model.context.home)],
+      [t('model.restAway'), rest(b.model.context.away)],
+      [t('model.h2h'), b.model.context.h2h.meetings ? t('model.h2hValue', { n: b.model.context.h2h.meetings, gd: b.model.context.h2h.goalDiff, factor: b.model.context.h2h.factor }) : t('model.noH2h')]] : []),
+    [t('model.scoreModel'), b.model.scoreModel],
+    ...(b.model.league ? [[t('model.league'),
+      `${b.model.league.baseGpm ?? t('model.default')} / ${b.model.league.homeElo} / ${Math.round(b.model.league.drawInflation * 100)}%`]] : []),
+  ].map(([k, v]) => `<tr class="border-b last:border-0"><td class="p-2 text-slate-600">${k}</td><td class="p-2 font-medium">${esc(v)}</td></tr>`).join('') : '';
+  const kickoff = m.kickoffIso ? `<time id="kickoff" datetime="${esc(m.kickoffIso)}">${esc(m.kickoff)}</time>` : esc(m.kickoff);
+  const outcome = p => p.result ? t(`track.${p.result}`).split('|')[1] : t('match.pending');
+  const history = m.history ? section(t('match.result'), `<p class="font-semibold">${m.score ? t('match.finalScore', m.score) : t('match.awaiting')}</p>
+      <table class="min-w-full"><thead class="bg-slate-100"><tr class="text-slate-700">
+      <th class="text-left p-2">${t('match.pick')}</th><th class="text-right p-2">${t('match.probability')}</th><th class="text-left p-2">${t('match.outcome')}</th></tr></thead>
+      <tbody>${m.picks.map(p => `<tr class="border-b last:border-0"><td class="p-2">${esc(marketName(locale, p.market))}: ${esc(selectionLabel(locale, p.label))}</td>
+      <td class="p-2 text-right">${pctTxt(p.prob)}</td><td class="p-2">${esc(outcome(p))}</td></tr>`).join('')}</tbody></table>`) : '';
+  return `<!doctype html>
+<html lang="${locale}">
+<head>
+  <title>${esc(title)} — BetEstimate.com</title>
+  ${headMeta(req, { locale, path })}
+  ${eventsLd(req, [m], locale)}
+</head>
+<body class="text-slate-900">
+  <div class="max-w-5xl mx-auto p-4 space-y-4">
+    ${siteHeader('match', locale, path)}
+    <section class="bg-white rounded-2xl shadow p-6 space-y-2 text-sm">
+      <div class="text-slate-600">${esc(m.league)} · ${kickoff}</div>
+      <h2 class="text-2xl font-extrabold">${esc(m.home)} <span class="text-slate-400">${t('match.vs')}</span> ${esc(m.away)}</h2>
+      <div><span class="font-semibold">${t('match.prediction')}</span> ${esc(pick('primary'))}</div>
+      ${pick('alt') ? `<div class="opacity-80"><span class="font-semibold">${t('match.alt')}</span> ${esc(pick('alt'))}</div>` : ''}
+      ${m.editorNote ? `<div class="mt-2 p-3 rounded-lg bg-amber-50 border border-amber-200"><span class="font-semibold">${t('match.editorNote')}</span> ${esc(m.editorNote)}</div>` : ''}
+    </section>
+    ${b ? `
+    ${section(t('match.breakdown'), `<table class="min-w-full">${modelRows}</table>`)}
+    ${section(t('match.form'), `<div class="grid md:grid-cols-2 gap-6">${formTableHtml(m.home, b.form.home, t)}${formTableHtml(m.away, b.form.away, t)}</div>`)}
+    ${section(t('match.scorelines'), `<div class="overflow-x-auto">${heatmapHtml(b.matrix, m.home, m.away)}</div>
+      <div>${t('match.mostLikely')} ${b.correctScores.map(c => `${c.label} (${pctTxt(c.prob)})`).join(', ')}</div>`)}
+    ${section(t('match.markets'), `<table class="min-w-full"><thead class="bg-slate-100"><tr class="text-slate-700">
+      <th class="text-left p-2">${t('match.selection')}</th><th class="text-right p-2">${t('match.probability')}</th><th class="text-right p-2">${t('match.fairOdds')}</th>
+      <th class="text-right p-2">${t('match.bookOdds')}</th><th class="text-right p-2">${t('match.ev')}</th></tr></thead><tbody>${marketsHtml(b.markets, locale)}</tbody></table>`)}
+    ` : history || section(t('match.breakdown'), `<p class="text-slate-600">${t('match.noModel')}</p>`)}
+    ${footer(locale)}
+  </div>
+  <script>
+    const k = document.getElementById("kickoff");
+    if (k) k.textContent = new Intl.DateTimeFormat(${jsonForScript(locale)}, { dateStyle: "medium", timeStyle: "short" }).format(new Date(k.dateTime));
+  </script>
+</body>
+</html>`;
+}
+
+// Fixtures that have left the cache keep a page built from the ledger: the picks published
+// before kickoff and how they settled. Hidden picks and excluded leagues stay unpublished.
+function ledgerMatches(){
+  const out = new Map();
+  for (const p of LEDGER.picks.values()){
+    const id = String(p.matchId);
+    if (!out.has(id)) out.set(id, { matchId: p.matchId, compId: p.compId, league: p.league, home: p.home, away: p.away,
+      kickoffIso: p.kickoffIso, kickoff: toLocalLabel(p.kickoffIso), score: null, picks: [], lastmod: null });
+    const m = out.get(id);
+    m.picks.push(p);
+    m.score ||= p.score || null;
+    m.lastmod = [m.lastmod, p.at, p.settledAt].filter(Boolean).sort().at(-1);
+  }
+  const published = new Set(publishRows(OVERRIDES, [...out.values()]).map(m => String(m.matchId)));
+  for (const id of out.keys()) if (!published.has(id)) out.delete(id);
+  return out;
+}
+function ledgerMatch(id){
+  const m = ledgerMatches().get(String(id));
+  if (!m) return null;
+  const ranks = ['primary', 'alt'];
+  return { ...m, history: true, picks: m.picks.sort((a, b) => ranks.indexOf(a.rank) - ranks.indexOf(b.rank)) };
+}
+
+app.get(localized('/match/:id'), (req, res, next) => {
+  const m = findMatch(req.params.id) || ledgerMatch(req.params.id);
+  if (!m) return next();
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.send(matchHtml(m, req));
+});
+
+// ---------- Admin page (behind requireAdmin; all actions go through /api/admin)
+app.get('/admin', (req, res) => {
   const HTML = `<!doctype html>
 <html lang="en">
 <head>
-  <title>Privacy — BetEstimate.com</title>
-  ${HEAD_META}
+  <title>Admin — BetEstimate.com</title>
+  <meta name="robots" content="noindex,nofollow" />
+  ${headMeta(req)}
 </head>
 <body class="text-slate-900">
-  <div class="max-w-4xl mx-auto p-4 space-y-4">
-    ${siteHeader('privacy')}
-    <main class="bg-white rounded-2xl shadow p-6 space-y-3 text-sm leading-6">
-      <h2 class="text-xl font-semibold">Privacy Policy</h2>
-      <p>We respect your privacy. BetEstimate.com may use cookies and basic web analytics to measure traffic and improve the site. If we enable Google AdSense or similar ad networks, those services may set cookies and use anonymous identifiers as described in their own policies.</p>
-      <p>We do not collect personal information unless you choose to contact us. If you email us, your address and message will be used only to reply and will not be sold to third parties.</p>
-      <p>By using this website, you consent to this policy. For questions, email <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a>.</p>
-    </main>
-    ${FOOTER}
+  <div class="max-w-6xl mx-auto p-4 space-y-4 text-sm">
+    <header class="rounded-2xl nav-gradient text-white p-4 flex items-center justify-between">
+      <h1 class="text-xl font-extrabold">BetEstimate admin</h1>
+      <a class="text-white/90 hover:text-white" href="/">View site</a>
+    </header>
+    <div id="msg" class="hidden p-3 rounded-lg bg-amber-50 border border-amber-200"></div>
+
+    <section class="bg-white rounded-2xl shadow p-6 space-y-3">
+      <h2 class="text-lg font-semibold">Fixture cache</h2>
+      <table class="min-w-full"><thead class="bg-slate-100"><tr>
+        <th class="text-left p-2">Date</th><th class="text-right p-2">Rows</th><th class="text-right p-2">Published</th><th class="text-right p-2">Failures</th>
+        <th class="text-left p-2">Saved</th><th class="text-left p-2">Refresh</th>
+      </tr></thead><tbody id="cache"></tbody></table>
+      <form id="refresh" class="flex flex-wrap gap-2 items-end">
+        <label class="flex flex-col">Date <input type="date" name="date" class="border rounded px-2 py-1"></label>
+        <label class="flex flex-col">Competition id (optional) <input name="compId" class="border rounded px-2 py-1 w-32"></label>
+        <button class="px-3 py-1.5 rounded nav-gradient text-white">Refresh</button>
+      </form>
+    </section>
+
+    <section class="bg-white rounded-2xl shadow p-6 space-y-3">
+      <h2 class="text-lg font-semibold">Picks</h2>
+      <form id="pickDate" class="flex gap-2 items-end">
+        <label class="flex flex-col">Date <input type="date" name="date" class="border rounded px-2 py-1"></label>
+        <button class="px-3 py-1.5 rounded bg-slate-700 text-white">Load</button>
+      </form>
+      <div class="overflow-x-auto"><table class="min-w-full"><thead class="bg-slate-100"><tr>
+        <th class="text-left p-2">Kickoff</th><th class="text-left p-2">Match</th><th class="text-left p-2">Prediction</th>
+        <th class="p-2">Hide</th><th class="p-2">Pin</th><th class="text-left p-2">Public editor note</th><th></th>
+      </tr></thead><tbody id="picks"></tbody></table></div>
+    </section>
+
+    <div class="grid md:grid-cols-2 gap-4">
+      <section class="bg-white rounded-2xl shadow p-6 space-y-3">
+        <h2 class="text-lg font-semibold">League filters</h2>
+        <p class="text-slate-600">Excluded competitions (id, code or name) are not published or recorded.</p>
+        <ul id="leagues" class="space-y-1"></ul>
+        <form id="league" class="flex gap-2"><input name="league" placeholder="e.g. BSA or 2013" class="border rounded px-2 py-1 flex-1">
+          <button class="px-3 py-1.5 rounded nav-gradient text-white">Exclude</button></form>
+      </section>
+      <section class="bg-white rounded-2xl shadow p-6 space-y-3">
+        <h2 class="text-lg font-semibold">Team rating</h2>
+        <form id="ratingFind" class="flex gap-2"><input name="q" placeholder="Team name" class="border rounded px-2 py-1 flex-1">
+          <button class="px-3 py-1.5 rounded bg-slate-700 text-white">Find</button></form>
+        <div id="ratingList" class="space-y-1"></div>
+        <form id="rating" class="flex gap-2"><input name="team" placeholder="Team" class="border rounded px-2 py-1 flex-1">
+          <input name="elo" type="number" min="800" max="2400" step="1" placeholder="Elo" class="border rounded px-2 py-1 w-24">
+          <button class="px-3 py-1.5 rounded nav-gradient text-white">Save</button></form>
+        <a class="text-sky-700 hover:underline" href="/api/admin/unmatched-teams">Teams on default ratings</a>
+      </section>
+    </div>
   </div>
+  <script>
+    const $ = id => document.getElementById(id);
+    const esc = s => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    function say(text){ $("msg").textContent = text; $("msg").classList.remove("hidden"); }
+    async function api(path, body){
+      const res = await fetch(path, body ? { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) } : {});
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || res.statusText);
+      return data;
+    }
+    const today = ${JSON.stringify(todayYMD())};
+    document.querySelectorAll("input[type=date]").forEach(i => i.value = today);
+
+    async function loadCache(){
+      const d = await api("/api/admin/cache");
+      $("cache").innerHTML = d.days.map(x =>
+        "<tr class='border-b'><td class='p-2'>" + x.date + "</td><td class='p-2 text-right'>" + x.rows + "</td><td class='p-2 text-right'>" + x.published +
+        "</td><td class='p-2 text-right'>" + x.failures + "</td><td class='p-2'>" + esc(x.error || x.reason || (x.savedAt || "").replace("T", " ").slice(0, 19)) +
+        "</td><td class='p-2'>" + (x.warming ? "refreshing…" : "<button class='underline' data-date='" + x.date + "'>all</button> " +
+          x.competitions.map(c => "<button class='underline' data-date='" + x.date + "' data-comp='" + c.id + "' title='" + esc(c.league) + "'>" + esc(c.code || c.id) + "</button>").join(" ")) +
+        "</td></tr>").join("");
+      $("leagues").innerHTML = d.overrides.leagues.map(l => "<li>" + esc(l) + " <button class='underline text-red-700' data-league='" + esc(l) + "'>remove</button></li>").join("") || "<li class='text-slate-500'>None</li>";
+    }
+    async function refresh(date, compId){
+      try { await api("/api/admin/refresh", { date, compId }); say("Refreshing " + date + (compId ? " / " + compId : "") + " in the background."); }
+      catch (e) { say(e.message); }
+      loadCache();
+    }
+    $("cache").addEventListener("click", e => { const b = e.target.closest("button"); if (b) refresh(b.dataset.date, b.dataset.comp); });
+    $("refresh").addEventListener("submit", e => { e.preventDefault(); const f = new FormData(e.target); refresh(f.get("date"), f.get("compId") || null); });
+
+    async function loadPicks(date){
+      const d = await api("/api/admin/rows?date=" + date);
+      $("picks").innerHTML = d.rows.filter(r => r.matchId).map(r => {
+        const o = r.override || {};
+        return "<tr class='border-b' data-id='" + r.matchId + "'><td class='p-2 whitespace-nowrap'>" + esc(r.kickoff) + "</td><td class='p-2'>" + esc(r.home) + " – " + esc(r.away) +
+          "<div class='text-slate-500 text-xs'>" + esc(r.league) + (r.leagueExcluded ? " (league excluded)" : "") + "</div></td><td class='p-2'>" + esc(r.prediction) +
+          "</td><td class='p-2 text-center'><input type='checkbox' name='hidden'" + (o.hidden ? " checked" : "") + "></td><td class='p-2 text-center'><input type='checkbox' name='pinned'" + (o.pinned ? " checked" : "") +
+          "></td><td class='p-2'><input name='note' class='border rounded px-2 py-1 w-full' value='" + esc(o.note) + "'></td><td class='p-2'><button class='px-2 py-1 rounded bg-slate-700 text-white'>Save</button></td></tr>";
+      }).join("");
+    }
+    $("pickDate").addEventListener("submit", e => { e.preventDefault(); loadPicks(new FormData(e.target).get("date")).catch(err => say(err.message)); });
+    $("picks").addEventListener("click", async e => {
+      const b = e.target.closest("button"); if (!b) return;
+      const tr = b.closest("tr"), q = n => tr.querySelector("[name=" + n + "]");
+      try { await api("/api/admin/picks/" + tr.dataset.id, { hidden: q("hidden").checked, pinned: q("pinned").checked, note: q("note").value }); say("Saved."); loadCache(); }
+      catch (err) { say(err.message); }
+    });
+
+    $("leagues").addEventListener("click", async e => {
+      const b = e.target.closest("button"); if (!b) return;
+      await api("/api/admin/leagues", { league: b.dataset.league, excluded: false }).catch(err => say(err.message)); loadCache();
+    });
+    $("league").addEventListener("submit", async e => {
+      e.preventDefault();
+      await api("/api/admin/leagues", { league: new FormData(e.target).get("league"), excluded: true }).catch(err => say(err.message));
+      e.target.reset(); loadCache();
+    });
+    $("ratingFind").addEventListener("submit", async e => {
+      e.preventDefault();
+      const d = await api("/api/admin/ratings?q=" + encodeURIComponent(new FormData(e.target).get("q")));
+      $("ratingList").innerHTML = d.teams.map(t => "<div>" + esc(t.name) + ": <strong>" + Math.round(t.elo) + "</strong>" + (t.games ? " (" + t.games + " games)" : "") + "</div>").join("") +
+        (d.seed ? "<div class='text-slate-500'>Seed: " + d.seed + "</div>" : "") || "<div class='text-slate-500'>No rated team matches.</div>";
+    });
+    $("rating").addEventListener("submit", async e => {
+      e.preventDefault();
+      const f = new FormData(e.target);
+      try { const r = await api("/api/admin/ratings", { team: f.get("team"), elo: f.get("elo") }); say("Saved " + r.team + " at " + r.elo + "; " + r.note + "."); }
+      catch (err) { say(err.message); }
+    });
+    loadCache().catch(err => say(err.message));
+    loadPicks(today).catch(err => say(err.message));
+  </script>
 </body>
 </html>`;
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   res.send(HTML);
 });
 
-app.get('/contact', (_req, res) => {
-  const HTML = `<!doctype html>
-<html lang="en">
+// About, privacy and contact: a heading and the <key>.p1..pN paragraphs.
+for (const [page, paragraphs] of [['about', 3], ['privacy', 3], ['contact', 2]]){
+  app.get(localized(`/${page}`), (req, res) => {
+    const { locale, t, path } = pageContext(req);
+    const body = Array.from({ length: paragraphs }, (_, i) => `<p>${t(`${page}.p${i + 1}`)}</p>`).join('\n      ');
+    const HTML = `<!doctype html>
+<html lang="${locale}">
 <head>
-  <title>Contact — BetEstimate.com</title>
-  ${HEAD_META}
+  <title>${t(`${page}.title`)}</title>
+  ${headMeta(req, { locale, path })}
 </head>
 <body class="text-slate-900">
   <div class="max-w-4xl mx-auto p-4 space-y-4">
-    ${siteHeader('contact')}
+    ${siteHeader(page, locale, path)}
     <main class="bg-white rounded-2xl shadow p-6 space-y-3 text-sm leading-6">
-      <h2 class="text-xl font-semibold">Contact</h2>
-      <p>Have a question or feedback? Email us at <a class="underline" href="mailto:contact@betestimate.com">contact@betestimate.com</a>.</p>
-      <p>We usually respond within a few days.</p>
+      <h2 class="text-xl font-semibold">${t(`${page}.heading`)}</h2>
+      ${body}
     </main>
-    ${FOOTER}
+    ${footer(locale)}
   </div>
 </body>
 </html>`;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.send(HTML);
-});
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(HTML);
+  });
+}
 
 // ---------- SEO: robots.txt
 app.get('/robots.txt', (req, res) => {
@@ -591,31 +1574,74 @@ app.get('/robots.txt', (req, res) => {
   res.type('text/plain').send(`User-agent: *
 Allow: /
 Disallow: /diag
+Disallow: /admin
 Sitemap: ${host}/sitemap.xml
 `);
 });
 
 // ---------- SEO: sitemap.xml
+// Every page in every locale, each <url> listing its language alternates: the static pages,
+// league landing pages, cached days and the match pages of cached fixtures and of the ledger's
+// history (newest SITEMAP_MAX_MATCHES), with lastmod from the cache's savedAt and the ledger's
+// record / settle times.
+const SITEMAP_MAX_MATCHES = 10000;
 app.get('/sitemap.xml', (req, res) => {
-  const host = `https://${req.headers.host || 'www.betestimate.com'}`;
-  const mk = (path, priority = '0.6', changefreq = 'daily') => {
-    const loc = path ? `${host}/${path}` : `${host}/`;
-    return `<url><loc>${loc}</loc><changefreq>${changefreq}</changefreq><priority>${priority}</priority></url>`;
+  const host = siteOrigin(req);
+  const entries = [];
+  const add = (path, { lastmod = null, priority = '0.6', changefreq = 'daily' } = {}) => {
+    const alternates = LOCALES.map(l => [l, host + localePath(l, path)]);
+    for (const [, loc] of alternates) entries.push({ loc, alternates, lastmod, priority, changefreq });
   };
-  const urls = [
-    mk('', '1.0'),     // Home
-    mk('about'),
-    mk('privacy'),
-    mk('contact'),
-  ].join('');
-  const xml =`<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
-</urlset>`;
-  res.type('application/xml').send(xml);
+  const latest = list => list.filter(Boolean).sort().at(-1) || null;
+  const savedAt = d => { const e = CACHE.get(d); return e && !e.error ? e.savedAt : null; };
+  const today = todayYMD(), tomorrow = addDaysYMD(today, 1);
+  const [sat, sun] = weekendRange();
+  const settled = latest([...LEDGER.picks.values()].map(p => p.settledAt));
+
+  add('/', { lastmod: savedAt(today), priority: '1.0' });
+  add('/weekend', { lastmod: latest([savedAt(sat), savedAt(sun)]), priority: '0.8' });
+  for (const d of [...new Set([...CACHE.keys(), tomorrow])].sort())
+    if (d !== today && !checkDate(d)) add(`/day/${d}`, { lastmod: savedAt(d), priority: '0.7' });
+  for (const l of LEAGUES.list.filter(l => l.slug)) add(`/league/${l.slug}`, { lastmod: latest([savedAt(today), savedAt(tomorrow)]), priority: '0.8' });
+  add('/performance', { lastmod: settled });
+  for (const page of ['/about', '/privacy', '/contact']) add(page, { changefreq: 'monthly', priority: '0.3' });
+
+  const matches = new Map();
+  for (const m of ledgerMatches().values()) matches.set(String(m.matchId), { kickoffIso: m.kickoffIso, lastmod: m.lastmod, changefreq: 'weekly' });
+  for (const e of CACHE.values()){
+    if (e.error) continue;
+    for (const r of publishRows(OVERRIDES, e.rows))
+      if (r.matchId != null && MATCH_DETAILS.has(String(r.matchId)))
+        matches.set(String(r.matchId), { kickoffIso: r.kickoffIso, lastmod: latest([e.savedAt, matches.get(String(r.matchId))?.lastmod]), changefreq: 'hourly' });
+  }
+  [...matches].sort(([, a], [, b]) => (b.kickoffIso || '').localeCompare(a.kickoffIso || '')).slice(0, SITEMAP_MAX_MATCHES)
+    .forEach(([id, m]) => add(`/match/${id}`, { lastmod: m.lastmod, priority: '0.5', changefreq: m.changefreq }));
+  res.type('application/xml').send(urlsetXml(entries));
 });
 
 // ---------- Start
-app.listen(PORT, HOST, () => {
-  console.log(`✅ Server listening on ${HOST}:${PORT}`);
-  warmCache();
-});
\ No newline at end of file
+// Importing this module builds the app and reads the stores (no writes, network, timers or logging);
+// start() applies the model config, prints the configuration, listens, registers the cron jobs
+// and warms today. index.js is the entry point; `node server.js` (older deploy scripts) starts it too.
+export function start({ port = PORT, host = HOST, warm = true } = {}){
+  MODEL_CONFIG = initModel();
+  console.log(`[provider] ${PROVIDER.name} (${PROVIDER.source})${PROVIDER.configured ? '' : ' — not configured, set FOOTBALL_DATA_KEY'}`);
+  console.log(`[ratings] ${RATINGS.index.size} teams loaded from ${RATINGS_FILE}`);
+  console.log(LEAGUES.list.length ? `[leagues] ${LEAGUES.list.length} configured, unlisted competitions ${LEAGUES.unlisted}d` : '[leagues] no leagues.json, publishing every competition');
+  console.log(MODEL_CONFIG ? `[model] fitted params rev ${MODEL_CONFIG.revision} from ${MODEL_CONFIG_FILE}` : '[model] using built-in defaults');
+  const stopJobs = scheduleJobs();
+  const server = app.listen(port, host, () => {
+    console.log(`✅ Server listening on ${host}:${server.address().port}`);
+    if (warm) warmCache();
+  });
+  const stop = () => { stopJobs(); for (const res of LIVE_CLIENTS) res.end(); return new Promise(resolve => server.close(resolve)); };
+  return { server, stop };
+}
+export { app, fetchFixtures, visitorDay };
+
+// Resolved like node resolves the script, so symlinked releases and `node server` count as well.
+function runAsScript(){
+  try { return realpathSync(createRequire(import.meta.url).resolve(process.argv[1])) === realpathSync(fileURLToPath(import.meta.url)); }
+  catch { return false; }
+}
+if (runAsScript()) start();
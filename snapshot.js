@@ -0,0 +1,28 @@
+// snapshot.js — record football-data.org responses for offline runs with PROVIDER=files.
+//   node snapshot.js --from 2025-03-01 --to 2025-03-03 [--dir data/snapshot] [--history-days 60]
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { createProvider, recordSnapshot } from './lib/providers.js';
+
+const { values: a } = parseArgs({ options: {
+  from: { type: 'string' }, to: { type: 'string' },
+  dir: { type: 'string', default: process.env.SNAPSHOT_DIR || fileURLToPath(new URL('./data/snapshot', import.meta.url)) },
+  'history-days': { type: 'string', default: '60' },
+} });
+
+const YMD = /^\d{4}-\d{2}-\d{2}$/;
+if (!YMD.test(a.from || '') || !YMD.test(a.to || a.from)) { console.error('--from (and optional --to) must be YYYY-MM-DD'); process.exit(1); }
+if (!process.env.FOOTBALL_DATA_KEY) { console.error('FOOTBALL_DATA_KEY is required to record a snapshot'); process.exit(1); }
+
+const provider = createProvider('football-data', {
+  token: process.env.FOOTBALL_DATA_KEY,
+  ratePerMinute: parseFloat(process.env.FD_RATE_PER_MIN || '10'),
+});
+// The server pads each local day by a UTC day either side; record the same window.
+const pad = (ymd, n) => new Date(Date.parse(`${ymd}T00:00:00Z`) + n*864e5).toISOString().slice(0, 10);
+const r = await recordSnapshot(provider, a.dir, {
+  dateFrom: a.from, dateTo: pad(a.to || a.from, 1), historyDays: parseInt(a['history-days'], 10) + 1, log: msg => console.log(`  ${msg}`),
+});
+console.log(`Recorded ${r.matches} matches and ${r.competitions} competitions into ${a.dir}`);
+console.log(`Run offline with PROVIDER=files SNAPSHOT_DIR=${a.dir}`);
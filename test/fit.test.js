@@ -0,0 +1,30 @@
+// test/fit.test.js — which constants fit.js searches, on the recorded Premier League season.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { loadHistory } from '../lib/backtest.js';
+import { FIT_SPACE, fitParams } from '../lib/fit.js';
+import { createLeagues } from '../lib/leagues.js';
+import { MODEL_DEFAULTS } from '../lib/model.js';
+
+const HISTORY = fileURLToPath(new URL('./fixtures/football-data/competitions/2021', import.meta.url));
+const space = FIT_SPACE.filter(d => ['tau1x2', 'homeElo'].includes(d.name));
+
+test('a constant leagues.json sets for every competition is not searched', async () => {
+  const matches = await loadHistory(HISTORY);
+  const opts = { params: MODEL_DEFAULTS, passes: 0, space, from: '2025-01-01' };
+  const perLeague = fitParams(matches, { ...opts, leagues: createLeagues({ leagues: [{ id: 2021, code: 'PL', homeElo: 60 }] }) });
+  assert.deepEqual(perLeague.skipped, ['homeElo']);
+  assert.deepEqual(perLeague.improvements.map(i => i.param), ['tau1x2']);
+  const global = fitParams(matches, { ...opts, leagues: createLeagues({ leagues: [{ id: 2021, code: 'PL', baseGpm: 2.9 }] }) });
+  assert.deepEqual(global.skipped, []);
+  assert.deepEqual(global.improvements.map(i => i.param), ['tau1x2', 'homeElo']);
+});
+
+test('only the searched constants are returned for model-config.json', async () => {
+  const matches = await loadHistory(HISTORY);
+  const params = { ...MODEL_DEFAULTS, edgeMin: 0.2, scoreModel: 'dixon-coles' }; // as if EDGE_MIN / SCORE_MODEL were set
+  const fit = fitParams(matches, { params, passes: 0, space: FIT_SPACE.filter(d => ['tau1x2', 'recDecay', 'dcRho'].includes(d.name)), from: '2025-01-01' });
+  assert.deepEqual(Object.keys(fit.fitted), ['tau1x2', 'rec', 'dcRho']);
+  assert.equal(fit.params.edgeMin, 0.2);
+});
@@ -0,0 +1,51 @@
+// test/helpers/fd-stub.js — local stand-in for api.football-data.org/v4 serving recorded
+// responses from test/fixtures/football-data/<path>.json (query string ignored for the
+// lookup), with the list filters the real API applies: dateFrom/dateTo, status (SCHEDULED
+// also matching TIMED), ids, season and limit. Unknown paths answer 404 like the API does for a competition without
+// standings.
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/football-data', import.meta.url));
+
+function filterMatches(json, q){
+  if (!Array.isArray(json.matches)) return json;
+  const from = q.get('dateFrom'), to = q.get('dateTo');
+  const status = q.get('status')?.split(',').flatMap(s => s === 'SCHEDULED' ? [s, 'TIMED'] : [s]), ids = q.get('ids')?.split(',');
+  const season = q.get('season'), limit = parseInt(q.get('limit') || '', 10);
+  let matches = json.matches.filter(m => {
+    const d = m.utcDate.slice(0, 10);
+    return (!from || d >= from) && (!to || d <= to) && (!status || status.includes(m.status)) &&
+      (!ids || ids.includes(String(m.id))) && (!season || m.season?.startDate?.startsWith(season));
+  });
+  if (limit > 0) matches = matches.slice(0, limit);
+  return { ...json, resultSet: { ...json.resultSet, count: matches.length }, matches };
+}
+
+export async function startStub({ dir = FIXTURES_DIR } = {}){
+  const requests = [];
+  const failing = new Map();
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    requests.push(url.pathname + url.search);
+    res.setHeader('Content-Type', 'application/json');
+    if (failing.has(url.pathname)) { res.statusCode = failing.get(url.pathname); return res.end(JSON.stringify({ message: 'Refused by the stub.', errorCode: res.statusCode })); }
+    const rel = url.pathname.replace(/^\/v4\//, '');
+    let json = null;
+    if (!rel.includes('..')) {
+      try { json = JSON.parse(await fs.readFile(path.join(dir, `${rel}.json`), 'utf8')); } catch {}
+    }
+    res.setHeader('X-Requests-Available-Minute', '100');
+    if (!json) { res.statusCode = 404; return res.end(JSON.stringify({ message: 'The resource you are looking for does not exist.', errorCode: 404 })); }
+    res.end(JSON.stringify(filterMatches(json, url.searchParams)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/v4`,
+    requests,
+    fail: (pathname, status) => status ? failing.set(pathname, status) : failing.delete(pathname),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
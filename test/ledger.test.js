@@ -0,0 +1,50 @@
+// test/ledger.test.js — one primary and one alt per match on the record, across refreshes and
+// ledgers written before picks were keyed by rank.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { loadLedger, recordPicks, settlePicks } from '../lib/ledger.js';
+
+const dirs = [];
+const tmpFile = async () => { const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'betestimate-ledger-')); dirs.push(dir); return path.join(dir, 'ledger.jsonl'); };
+after(() => Promise.all(dirs.map(d => fs.rm(d, { recursive: true, force: true }))));
+const pick = (rank, market, label) => ({ matchId: 7, compId: 2021, date: '2099-01-01', kickoffIso: '2099-01-01T15:00:00Z', rank, market, label, prob: 0.6 });
+
+test('a refresh that changes the pick replaces it instead of adding one', async () => {
+  const file = await tmpFile();
+  const store = await loadLedger(file);
+  assert.equal(await recordPicks(store, [pick('primary', '1X2', '1'), pick('alt', 'Over/Under 2.5', 'Over 2.5')]), 2);
+  assert.equal(await recordPicks(store, [pick('primary', '1X2', '1')]), 0);
+  assert.equal(await recordPicks(store, [pick('primary', 'Draw No Bet', '1')]), 1);
+  const picks = [...store.picks.values()];
+  assert.equal(picks.length, 2);
+  assert.equal(picks.find(p => p.rank === 'primary').market, 'Draw No Bet');
+  // the file replays to the same record
+  assert.deepEqual([...(await loadLedger(file)).picks.values()].map(p => [p.id, p.market]), [['7|primary', 'Draw No Bet'], ['7|alt', 'Over/Under 2.5']]);
+});
+
+test('a settled pick is never replaced', async () => {
+  const file = await tmpFile();
+  const store = await loadLedger(file);
+  await recordPicks(store, [{ ...pick('primary', '1X2', '1'), kickoffIso: '2000-01-01T15:00:00Z' }]);
+  await settlePicks(store, [{ id: 7, status: 'FINISHED', score: { fullTime: { home: 2, away: 0 } } }]);
+  assert.equal(await recordPicks(store, [pick('primary', '1X2', '2')]), 0);
+  const reloaded = (await loadLedger(file)).picks.get('7|primary');
+  assert.equal(reloaded.label, '1');
+  assert.equal(reloaded.result, 'won');
+});
+
+test('older ledgers keyed by market and label keep the last pick published per rank', async () => {
+  const file = await tmpFile();
+  const old = (label, at) => JSON.stringify({ t: 'pick', id: `7|1X2|${label}`, at, ...pick('primary', '1X2', label) });
+  await fs.writeFile(file, [
+    old('1', '2099-01-01T08:00:00Z'),
+    old('X', '2099-01-01T10:00:00Z'),
+    JSON.stringify({ t: 'settle', id: '7|1X2|1', at: '2099-01-01T18:00:00Z', result: 'won' }),
+    JSON.stringify({ t: 'settle', id: '7|1X2|X', at: '2099-01-01T18:00:00Z', result: 'lost' }),
+  ].join('\n') + '\n');
+  const picks = [...(await loadLedger(file)).picks.values()];
+  assert.deepEqual(picks.map(p => [p.id, p.label, p.result]), [['7|primary', 'X', 'lost']]);
+});
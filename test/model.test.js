@@ -0,0 +1,154 @@
+// test/model.test.js — the Poisson maths and the form / pick edge cases of lib/model.js.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { MODEL_DEFAULTS, MODEL_PARAMS, initModel, fac, poisPmf, poisCdf, probs1X2, sharpen3, formStatsAdvanced, formBreakdown, chooseStrongest, baselineGoals } from '../lib/model.js';
+
+const close = (a, b, eps = 1e-9) => assert.ok(Math.abs(a - b) <= eps, `${a} != ${b} (±${eps})`);
+const params = MODEL_DEFAULTS;
+
+// ---------- Poisson
+test('poisPmf matches the closed form and sums to 1', () => {
+  close(poisPmf(1.4, 0), Math.exp(-1.4));
+  close(poisPmf(1.4, 3), Math.exp(-1.4) * 1.4 ** 3 / 6);
+  close(poisPmf(0, 0), 1);
+  let s = 0;
+  for (let k = 0; k <= 40; k++) s += poisPmf(2.7, k);
+  close(s, 1);
+  close(poisCdf(2.7, 40), 1);
+});
+
+test('poisPmf stays finite past the factorial overflow', () => {
+  assert.equal(fac(170) < Infinity, true);
+  assert.equal(fac(171), Infinity);
+  for (const [lam, k] of [[3, 171], [3, 400], [150, 171], [150, 200]]){
+    const p = poisPmf(lam, k);
+    assert.ok(Number.isFinite(p) && p >= 0, `poisPmf(${lam}, ${k}) = ${p}`);
+  }
+  // around the mode of a large λ, where lam^k alone is Infinity
+  close(poisPmf(150, 150), 1 / Math.sqrt(2 * Math.PI * 150), 1e-4);
+  close(poisCdf(150, 400), 1, 1e-9);
+});
+
+test('probs1X2 sums to 1 and is symmetric for equal rates', () => {
+  const p = probs1X2(1.6, 1.1);
+  close(p.pH + p.pD + p.pA, 1);
+  assert.ok(p.pH > p.pA);
+  const q = probs1X2(1.3, 1.3);
+  close(q.pH, q.pA);
+  const z = probs1X2(0, 0);
+  close(z.pD, 1);
+});
+
+test('probs1X2 handles a high goal cap without NaN', () => {
+  const p = probs1X2(4.5, 3.8, 200);
+  for (const v of Object.values(p)) assert.ok(Number.isFinite(v));
+  close(p.pH + p.pD + p.pA, 1);
+});
+
+test('sharpen3 is the identity at tau 1 and favours the favourite above it', () => {
+  const same = sharpen3(0.5, 0.3, 0.2, 1);
+  close(same.pH, 0.5); close(same.pD, 0.3); close(same.pA, 0.2);
+  const sharp = sharpen3(0.5, 0.3, 0.2, 1.25);
+  close(sharp.pH + sharp.pD + sharp.pA, 1);
+  assert.ok(sharp.pH > 0.5 && sharp.pA < 0.2);
+  const zero = sharpen3(0, 0, 0, 1.25);
+  assert.deepEqual(zero, { pH: 0, pD: 0, pA: 0 });
+});
+
+// ---------- Form
+const team = id => ({ id, name: `Team ${id}` });
+const played = (utcDate, h, a, fullTime) => ({ utcDate, status: 'FINISHED', homeTeam: team(h), awayTeam: team(a), score: { fullTime } });
+const standings = { map: new Map([[1, 1], [2, 5], [3, 10], [4, 20]]), size: 20 };
+
+test('formStatsAdvanced skips matches without a full-time score', () => {
+  const scored = [played('2025-02-20', 1, 2, { home: 2, away: 0 }), played('2025-02-13', 3, 1, { home: 1, away: 1 })];
+  const missing = [played('2025-02-16', 1, 4, { home: null, away: null }), { ...played('2025-02-10', 4, 1, null), score: {} }];
+  const withGaps = formStatsAdvanced(1, [scored[0], missing[0], scored[1], missing[1]], standings, params);
+  const clean = formStatsAdvanced(1, scored, standings, params);
+  assert.deepEqual(withGaps, clean);
+  close(clean.ppm, 2);
+  close(clean.gfpm, 1.5);
+  close(clean.gapm, 0.5);
+  assert.deepEqual(formBreakdown(1, [missing[0], scored[0]], standings).map(m => m.score), ['2-0']);
+});
+
+test('formStatsAdvanced falls back to regularTime', () => {
+  const m = { ...played('2025-02-20', 1, 2, null), score: { regularTime: { home: 0, away: 3 } } };
+  const f = formStatsAdvanced(1, [m], standings, params);
+  assert.equal(f.ppm, 0);
+  assert.equal(f.gapm, 3);
+});
+
+test('formStatsAdvanced with empty standings uses mid-table opponents', () => {
+  const ms = [played('2025-02-20', 1, 2, { home: 1, away: 0 }), played('2025-02-13', 3, 1, { home: 2, away: 2 })];
+  for (const pack of [{ map: new Map(), size: 20 }, { map: new Map(), size: 0 }, {}]){
+    const f = formStatsAdvanced(1, ms, pack, params);
+    assert.equal(f.oppAvgPos, 10);
+    assert.ok(Number.isFinite(f.formStrength));
+  }
+  const none = formStatsAdvanced(1, [], {}, params);
+  assert.deepEqual(none, { ppm: 0, gfpm: 0, gapm: 0, oppAvgPos: 10, formStrength: 0 });
+});
+
+// ---------- Picks
+test('chooseStrongest ranks one selection per market by edge', () => {
+  const choice = chooseStrongest(2.1, 0.8, params, baselineGoals('', params));
+  const markets = choice.all.map(c => c.market);
+  assert.equal(new Set(markets).size, markets.length);
+  assert.ok(!markets.includes('Correct Score'));
+  for (let i = 1; i < choice.all.length; i++) assert.ok(choice.all[i - 1].edge >= choice.all[i].edge);
+  assert.equal(choice.top, choice.all[0]);
+  assert.equal(choice.second, choice.all[1]);
+  assert.ok(choice.top.edge >= params.edgeMin && !choice.top.note);
+  assert.equal(choice.correctScores.length, 3);
+});
+
+test('chooseStrongest marks a pick on an average fixture as a low-edge fallback', () => {
+  const base = baselineGoals('', params);
+  const choice = chooseStrongest(base.lh, base.la, params, base);
+  assert.equal(choice.top.note, 'low-edge-fallback');
+  close(choice.top.edge, 0, 1e-9);
+});
+
+test('chooseStrongest with quotes only picks from priced selections', () => {
+  const quote = (odds, fair) => ({ odds, fair, fairMethod: 'shin', bookmaker: 'test' });
+  const quotes = new Map([['1X2|1', quote(1.5, 0.62)], ['1X2|X', quote(4.5, 0.21)], ['1X2|2', quote(7.0, 0.17)]]);
+  const choice = chooseStrongest(2.1, 0.8, params, baselineGoals('', params), quotes);
+  assert.deepEqual(choice.all.map(c => c.market), ['1X2']);
+  assert.equal(choice.top.edgeSource, 'market');
+  assert.equal(choice.top.label, '1');
+  close(choice.top.edge, choice.top.prob - 0.62);
+  close(choice.top.ev, choice.top.prob * 1.5 - 1);
+});
+
+test('chooseStrongest with only Correct Score quotes falls back to model edges', () => {
+  const quote = (odds, fair) => ({ odds, fair, fairMethod: 'shin', bookmaker: 'test' });
+  const quotes = new Map([['Correct Score|1-0', quote(6.5, 0.14)], ['Correct Score|2-0', quote(8.0, 0.11)]]);
+  const base = baselineGoals('', params);
+  const choice = chooseStrongest(2.1, 0.8, params, base, quotes);
+  const model = chooseStrongest(2.1, 0.8, params, base);
+  assert.ok(choice.all.length > 1);
+  assert.ok(choice.all.every(c => c.edgeSource === 'model'));
+  assert.deepEqual([choice.top.market, choice.top.label], [model.top.market, model.top.label]);
+});
+
+// ---------- Config
+test('the fitted config and env overrides apply on initModel, not on import', async () => {
+  assert.deepEqual(MODEL_PARAMS, MODEL_DEFAULTS);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'betestimate-model-'));
+  const file = path.join(dir, 'model-config.json');
+  await fs.writeFile(file, JSON.stringify({ revision: 3, params: { tau1x2: 1.4, edgeMin: 0.1 } }));
+  process.env.EDGE_MIN = '0.12';
+  try {
+    assert.equal(initModel(file).revision, 3);
+    assert.deepEqual([MODEL_PARAMS.tau1x2, MODEL_PARAMS.edgeMin, MODEL_PARAMS.dcRho], [1.4, 0.12, MODEL_DEFAULTS.dcRho]);
+  } finally {
+    delete process.env.EDGE_MIN;
+    assert.equal(initModel(path.join(dir, 'missing.json')), null);
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  assert.deepEqual(MODEL_PARAMS, MODEL_DEFAULTS);
+});
@@ -0,0 +1,114 @@
+// test/notify.test.js — the notifier end to end: a webhook subscriber on a local HTTP server and
+// an email subscriber on a net-based SMTP stub, with the delivery log in a temporary directory.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { createNotifier } from '../lib/notify.js';
+import { createLeagues } from '../lib/leagues.js';
+
+const LEAGUES = createLeagues({ leagues: [{ id: 2021, code: 'PL', slug: 'premier-league' }, { id: 2019, code: 'SA', slug: 'serie-a' }] });
+const row = (matchId, compId, compCode, edge, label = '1') => ({
+  matchId, compId, compCode, league: compCode, home: `Home ${matchId}`, away: `Away ${matchId}`,
+  kickoffIso: '2099-01-01T15:00:00Z', kickoff: '2099-01-01 18:00', primaryEdgePct: edge,
+  picks: [{ rank: 'primary', market: '1X2', label, prob: 0.55 }, { rank: 'alt', market: 'Over/Under 2.5', label: 'Over 2.5', prob: 0.6 }],
+});
+const ROWS = [row(1, 2021, 'PL', 15), row(2, 2019, 'SA', 20), row(3, 2021, 'PL', 5)];
+
+let web, smtp, tmp;
+const hooks = [], mails = [];
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'betestimate-notify-'));
+  web = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => { hooks.push({ headers: req.headers, body }); res.end('ok'); });
+  });
+  // Just enough SMTP for sendMail: a multi-line EHLO reply, then one message per connection.
+  smtp = net.createServer(socket => {
+    let buf = '', data = null;
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', d => {
+      buf += d.toString('utf8');
+      if (data != null) {
+        const end = buf.indexOf('\r\n.\r\n');
+        if (end < 0) return;
+        mails.push(buf.slice(0, end));
+        buf = buf.slice(end + 5);
+        data = null;
+        socket.write('250 queued\r\n');
+      }
+      let i;
+      while (data == null && (i = buf.indexOf('\r\n')) >= 0){
+        const cmd = buf.slice(0, i).split(' ')[0].toUpperCase();
+        buf = buf.slice(i + 2);
+        if (cmd === 'EHLO') socket.write('250-stub\r\n250 8BITMIME\r\n');
+        else if (cmd === 'DATA') { data = ''; socket.write('354 go ahead\r\n'); }
+        else if (cmd === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await Promise.all([web, smtp].map(s => new Promise(resolve => s.listen(0, '127.0.0.1', resolve))));
+});
+after(async () => {
+  await Promise.all([web, smtp].map(s => new Promise(resolve => s.close(resolve))));
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+async function notifier(name){
+  const dir = path.join(tmp, name);
+  await fs.mkdir(dir);
+  const configFile = path.join(dir, 'notify.json'), logFile = path.join(dir, 'notified.json');
+  await fs.writeFile(configFile, JSON.stringify({
+    siteUrl: 'https://example.test',
+    smtp: { host: '127.0.0.1', port: smtp.address().port, from: 'BetEstimate <picks@example.test>' },
+    subscribers: [
+      { id: 'hook', type: 'webhook', url: `http://127.0.0.1:${web.address().port}/hook`, secret: 's3cret', filters: { leagues: ['premier-league'] } },
+      { id: 'mail', type: 'email', to: 'reader@example.test', filters: { minEdge: 0 } },
+    ],
+  }));
+  hooks.length = mails.length = 0;
+  return { logFile, ...createNotifier({ configFile, logFile, leagues: LEAGUES }) };
+}
+const mailText = raw => Buffer.from(raw.split('\r\n\r\n').slice(1).join('').replace(/\r\n/g, ''), 'base64').toString('utf8');
+
+test('each subscriber gets the picks its filters let through', async () => {
+  const { notify } = await notifier('filters');
+  const instant = await notify(ROWS, { date: '2099-01-01', trigger: 'instant' });
+  assert.deepEqual(instant.results.map(r => [r.id, r.picks, r.sent]), [['hook', 1, true]]); // email is a digest
+  const { headers, body } = hooks[0];
+  assert.equal(headers['x-betestimate-signature'], 'sha256=' + crypto.createHmac('sha256', 's3cret').update(body).digest('hex'));
+  assert.deepEqual(JSON.parse(body).picks.map(p => p.matchId), [1]); // Serie A is filtered out, match 3 is under the default edge
+  const scheduled = await notify(ROWS, { date: '2099-01-01', trigger: 'scheduled' });
+  assert.deepEqual(scheduled.results.map(r => [r.id, r.picks, r.sent]), [['mail', 3, true]]);
+  assert.equal(mails.length, 1);
+  assert.match(mails[0], /^Subject: BetEstimate: 3 strong signals for 2099-01-01$/m);
+  assert.match(mailText(mails[0]), /Home 3 vs Away 3 \(PL, 2099-01-01 18:00\)\n {2}1X2: 1 — 55%, edge 5%\n {2}https:\/\/example\.test\/match\/3/);
+});
+
+test('a second run sends only picks that changed', async () => {
+  const { notify } = await notifier('dedupe');
+  await notify(ROWS, { date: '2099-01-01', trigger: 'scheduled' });
+  assert.equal(hooks.length, 1);
+  assert.equal(mails.length, 1);
+  assert.deepEqual((await notify(ROWS, { date: '2099-01-01', trigger: 'scheduled' })).results, []);
+  const changed = [row(1, 2021, 'PL', 15, 'X'), ...ROWS.slice(1)];
+  assert.deepEqual((await notify(changed, { date: '2099-01-01', trigger: 'scheduled' })).results.map(r => [r.id, r.picks]), [['hook', 1], ['mail', 1]]);
+  assert.equal(hooks.length, 2);
+  assert.equal(mails.length, 2);
+});
+
+test('a dry run counts the picks without sending or logging them', async () => {
+  const { notify, logFile } = await notifier('dry-run');
+  const dry = await notify(ROWS, { date: '2099-01-01', trigger: 'scheduled', dryRun: true });
+  assert.deepEqual(dry.results.map(r => [r.id, r.picks, r.sent]), [['hook', 1, false], ['mail', 3, false]]);
+  assert.equal(hooks.length + mails.length, 0);
+  await assert.rejects(fs.access(logFile), { code: 'ENOENT' });
+  // nothing was logged, so the real run still sends everything
+  assert.deepEqual((await notify(ROWS, { date: '2099-01-01', trigger: 'scheduled' })).results.map(r => r.sent), [true, true]);
+});
@@ -0,0 +1,28 @@
+// test/odds.test.js — matching bookmaker rows to fixtures through the team registry.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOddsIndex, oddsFor } from '../lib/odds.js';
+import { createTeamRegistry } from '../lib/teams.js';
+
+const rows = [
+  { home: 'Wolves', away: 'Spurs', date: '2025-03-01', market: '1X2', label: 'home', odds: 2.6 },
+  { home: 'Arsenal', away: 'Chelsea FC', market: '1X2', label: 'home', odds: 1.9 },
+];
+
+test('registry matches reach odds matching', () => {
+  const teams = createTeamRegistry({ teams: {
+    'football-data:76': { name: 'Wolverhampton Wanderers FC', key: 'wolves', matchedBy: 'manual' },
+    'football-data:73': { name: 'Tottenham Hotspur FC', key: 'spurs', matchedBy: 'fuzzy', score: 0.9 },
+  } });
+  const index = buildOddsIndex(rows, { keyOf: teams.keyOf });
+  const quotes = oddsFor(index, 'Wolverhampton Wanderers FC', 'Tottenham Hotspur FC', '2025-03-01T15:00:00Z', teams.keyOf);
+  assert.equal(quotes?.get('1X2|1').odds, 2.6);
+  // without the registry the long names do not meet the bookmaker's short ones
+  assert.equal(oddsFor(buildOddsIndex(rows), 'Wolverhampton Wanderers FC', 'Tottenham Hotspur FC', '2025-03-01T15:00:00Z'), null);
+});
+
+test('teams the registry has not seen still match on canonical names', () => {
+  const teams = createTeamRegistry();
+  const index = buildOddsIndex(rows, { keyOf: teams.keyOf });
+  assert.equal(oddsFor(index, 'Arsenal FC', 'Chelsea FC', '2025-03-01T12:30:00Z', teams.keyOf)?.get('1X2|1').odds, 1.9);
+});
@@ -0,0 +1,134 @@
+// test/pipeline.test.js — golden tests of fetchFixtures against recorded football-data.org
+// responses served by a local stub (test/helpers/fd-stub.js), with the clock fixed on the
+// recorded day. UPDATE_GOLDEN=1 rewrites test/golden/ after an intended model change.
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startStub } from './helpers/fd-stub.js';
+
+const GOLDEN = fileURLToPath(new URL('./golden/fixtures-2025-03-01.json', import.meta.url));
+const NOW = Date.parse('2025-03-01T07:30:00Z'); // 10:30 in Europe/Istanbul
+
+let stub, tmp, server;
+before(async () => {
+  stub = await startStub();
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'betestimate-test-'));
+  Object.assign(process.env, {
+    DOTENV_CONFIG_PATH: path.join(tmp, 'no.env'), // nothing from the developer's .env (START_HOUR, keys, ...)
+    FOOTBALL_DATA_KEY: 'test', FD_BASE_URL: stub.baseUrl, FD_RATE_PER_MIN: '10000', FD_CACHE_DIR: path.join(tmp, 'cache'),
+    TZ: 'Europe/Istanbul', FALLBACK_DEMO: '1', PROVIDER: 'football-data', ODDS_PROVIDER: 'files', ODDS_DIR: path.join(tmp, 'odds'),
+    RATINGS_FILE: path.join(tmp, 'ratings.json'), TEAMS_FILE: path.join(tmp, 'teams.json'), LEAGUES_FILE: path.join(tmp, 'leagues.json'),
+    OVERRIDES_FILE: path.join(tmp, 'overrides.json'), LEDGER_FILE: path.join(tmp, 'ledger.jsonl'), MODEL_CONFIG_FILE: path.join(tmp, 'model-config.json'),
+    NOTIFY_FILE: path.join(tmp, 'notify.json'), NOTIFY_LOG_FILE: path.join(tmp, 'notified.json'), SNAPSHOT_DIR: path.join(tmp, 'snapshot'),
+    SCORE_MODEL: '', ADMIN_TOKEN: 'test-admin', NOTIFY_CRON: '0 9 * * *',
+  });
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+  server = await import('../server.js');
+});
+after(async () => {
+  mock.timers.reset();
+  await stub.close();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+// Rounded so the golden file does not depend on the last bits of Math.exp.
+const round = x => typeof x === 'number' && !Number.isInteger(x) ? +x.toFixed(6) : x;
+const golden = day => ({
+  date: day.date, totalFromApi: day.totalFromApi, failures: day.failures,
+  rows: day.rows.map(r => ({
+    matchId: r.matchId ?? null, league: r.league, kickoff: r.kickoff, home: r.home, away: r.away,
+    prediction: r.prediction, altPrediction: r.altPrediction, primaryEdgePct: r.primaryEdgePct, altEdgePct: r.altEdgePct,
+    picks: (r.picks || []).map(p => ({ rank: p.rank, market: p.market, label: p.label, prob: round(p.prob), edge: round(p.edge) })),
+    ...(r.warning ? { warning: r.warning } : {}), ...(r.error ? { error: r.error } : {}),
+  })),
+});
+
+test('fetchFixtures matches the golden output', async () => {
+  const day = golden(await server.fetchFixtures('2025-03-01'));
+  if (process.env.UPDATE_GOLDEN === '1') {
+    await fs.mkdir(path.dirname(GOLDEN), { recursive: true });
+    await fs.writeFile(GOLDEN, JSON.stringify(day, null, 2) + '\n');
+  }
+  assert.deepEqual(day, JSON.parse(await fs.readFile(GOLDEN, 'utf8')));
+});
+
+test('fetchFixtures keeps the local day only', async () => {
+  const { rows } = await server.fetchFixtures('2025-03-01');
+  assert.deepEqual(rows.map(r => r.kickoff), ['2025-03-01 00:30', '2025-03-01 15:30', '2025-03-01 18:00', '2025-03-01 23:00']);
+  assert.ok(rows.every(r => r.picks.length === 2 && !r.error));
+});
+
+test('a competition without standings degrades to a warning', async () => {
+  const { rows } = await server.fetchFixtures('2025-03-01');
+  const cup = rows.find(r => r.compCode === 'CL');
+  assert.match(cup.warning, /standings HTTP 404/);
+  assert.ok(cup.picks.length);
+  assert.ok(rows.filter(r => r.compCode === 'PL').every(r => !r.warning));
+  assert.ok(stub.requests.some(u => u.startsWith('/v4/competitions/2001/standings')));
+});
+
+test('an abandoned match without a score does not count towards form', async () => {
+  const { details } = await server.fetchFixtures('2025-03-01');
+  const form = details.find(d => d.matchId === 497063).breakdown.form.home.matches; // Liverpool, abandoned v Man United on 19 Feb
+  assert.ok(form.length);
+  assert.ok(form.every(m => /^\d+-\d+$/.test(m.score)));
+  assert.ok(!form.some(m => m.date === '2025-02-19'));
+});
+
+test('details keep the unrounded rates for live repricing', async () => {
+  const { details } = await server.fetchFixtures('2025-03-01');
+  for (const d of details){
+    assert.equal(+d.lambdas.lh.toFixed(4), d.breakdown.model.lh);
+    assert.equal(+d.lambdas.la.toFixed(4), d.breakdown.model.la);
+  }
+  assert.ok(details.some(d => d.lambdas.lh !== d.breakdown.model.lh));
+});
+
+test('FALLBACK_DEMO fills a day without fixtures with the demo row', async () => {
+  const day = await server.fetchFixtures('2025-03-05');
+  assert.equal(day.totalFromApi, 0);
+  assert.deepEqual(day.rows.map(r => [r.league, r.home, r.away, r.prediction]), [['Demo League', 'Alpha FC', 'Beta United', '1X2: 1 (64%)']]);
+  const cup = await server.fetchFixtures('2025-03-05', { only: 2001 });
+  assert.deepEqual(cup.rows, []);
+});
+
+test('a refused season endpoint is asked once, not once per fixture', async () => {
+  mock.timers.setTime(NOW + 7*3600*1000); // past the cached season responses, still 1 March locally
+  stub.fail('/v4/competitions/2021/matches', 403);
+  const seasonCalls = () => stub.requests.filter(u => u.startsWith('/v4/competitions/2021/matches')).length;
+  const before = seasonCalls();
+  const day = await server.fetchFixtures('2025-03-01', { only: 2021, fresh: true });
+  assert.equal(day.rows.length, 3);
+  assert.ok(day.rows.every(r => r.picks.length && !r.error));
+  assert.equal(seasonCalls() - before, 1);
+  await server.fetchFixtures('2025-03-01', { only: 2021 });
+  assert.equal(seasonCalls() - before, 1);
+  stub.fail('/v4/competitions/2021/matches', null); // the clock stays put: going back would drain the rate limiter
+});
+
+test('a competition refresh that the provider refuses keeps the cached day', async () => {
+  const http = server.app.listen(0, '127.0.0.1'); // no start(): the cron jobs have no place under a frozen clock
+  await new Promise(resolve => http.once('listening', resolve));
+  const base = `http://127.0.0.1:${http.address().port}`;
+  const admin = { 'Authorization': 'Bearer test-admin', 'Content-Type': 'application/json' };
+  try {
+    const before = await (await fetch(`${base}/api/today`)).json();
+    assert.ok(before.rows.length);
+    stub.fail('/v4/matches', 403);
+    const res = await fetch(`${base}/api/admin/refresh`, { method: 'POST', headers: admin, body: JSON.stringify({ date: '2025-03-01', compId: 2021 }) });
+    assert.equal(res.status, 202);
+    for (let i = 0; i < 50; i++) {
+      const { warming } = await (await fetch(`${base}/api/admin/cache`, { headers: admin })).json();
+      if (!warming.length) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    const after = await (await fetch(`${base}/api/today`)).json();
+    assert.deepEqual(after.rows.map(r => r.matchId), before.rows.map(r => r.matchId));
+  } finally {
+    stub.fail('/v4/matches', null);
+    await new Promise(resolve => http.close(resolve));
+  }
+});
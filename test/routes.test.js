@@ -0,0 +1,85 @@
+// test/routes.test.js — the HTTP surface without a football-data key: parameter validation,
+// the localized pages and the crawler files. start() binds an ephemeral port and stop() has
+// to clear the cron jobs and intervals, or this process never exits.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+let tmp, instance, base;
+before(async () => {
+  tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'betestimate-test-'));
+  // dotenv fills whatever is unset from .env: skip the file and blank the key
+  Object.assign(process.env, {
+    DOTENV_CONFIG_PATH: path.join(tmp, 'no.env'), FOOTBALL_DATA_KEY: '', PROVIDER: 'football-data', FALLBACK_DEMO: '', TZ: 'Europe/Istanbul', FD_CACHE_DIR: path.join(tmp, 'cache'),
+    RATINGS_FILE: path.join(tmp, 'ratings.json'), TEAMS_FILE: path.join(tmp, 'teams.json'), OVERRIDES_FILE: path.join(tmp, 'overrides.json'),
+    LEDGER_FILE: path.join(tmp, 'ledger.jsonl'), NOTIFY_FILE: path.join(tmp, 'notify.json'), NOTIFY_LOG_FILE: path.join(tmp, 'notified.json'),
+    SNAPSHOT_DIR: path.join(tmp, 'snapshot'), ODDS_DIR: path.join(tmp, 'odds'), LIVE_MAX_CLIENTS: '2',
+  });
+  const { start } = await import('../server.js');
+  instance = start({ port: 0, host: '127.0.0.1', warm: false });
+  await new Promise(resolve => instance.server.once('listening', resolve));
+  base = `http://127.0.0.1:${instance.server.address().port}`;
+});
+after(async () => {
+  await instance.stop();
+  await fs.rm(tmp, { recursive: true, force: true });
+});
+
+const get = async p => { const res = await fetch(base + p); return { status: res.status, type: res.headers.get('content-type'), body: await res.text() }; };
+
+test('the day APIs reject a bad time zone or date', async () => {
+  for (const p of ['/api/today?tz=Nope/Nowhere', '/api/fixtures?date=2025-13-01', '/api/fixtures?date=1999-01-01', '/api/fixtures?from=2025-03-01',
+    '/api/accumulator/auto?date=2099-01-01']){
+    const res = await get(p);
+    assert.equal(res.status, 400, p);
+    assert.ok(JSON.parse(res.body).error, p);
+  }
+});
+
+test('/api/today without a key answers an empty day', async () => {
+  const res = await get('/api/today?tz=Europe/London');
+  assert.equal(res.status, 200);
+  assert.deepEqual(JSON.parse(res.body).rows, []);
+});
+
+test('pages render in both languages', async () => {
+  const en = await get('/');
+  assert.equal(en.status, 200);
+  assert.match(en.body, /<html lang="en"/);
+  assert.match(en.body, /hreflang="tr"/);
+  const tr = await get('/tr/');
+  assert.equal(tr.status, 200);
+  assert.match(tr.body, /<html lang="tr"/);
+});
+
+test('the performance page filters by either pick rank', async () => {
+  const page = await get('/performance');
+  assert.match(page.body, /<option value="primary">/);
+  assert.match(page.body, /<option value="alt">/);
+});
+
+test('league pages exist for configured leagues only', async () => {
+  assert.equal((await get('/league/premier-league')).status, 200);
+  assert.equal((await get('/tr/league/premier-league')).status, 200);
+  assert.equal((await get('/league/no-such-league')).status, 404);
+});
+
+test('robots.txt and the sitemap point crawlers at both languages', async () => {
+  const robots = await get('/robots.txt');
+  assert.match(robots.body, /Sitemap: .*\/sitemap\.xml/);
+  const sitemap = await get('/sitemap.xml');
+  assert.match(sitemap.type, /xml/);
+  assert.match(sitemap.body, /xmlns:xhtml=/);
+  assert.match(sitemap.body, /<loc>[^<]*\/tr\/league\/premier-league<\/loc>/);
+});
+
+test('live streams beyond LIVE_MAX_CLIENTS are refused', async () => {
+  const streams = [new AbortController(), new AbortController()];
+  const open = await Promise.all(streams.map(c => fetch(base + '/api/live', { signal: c.signal })));
+  assert.deepEqual(open.map(r => r.status), [200, 200]);
+  const refused = await get('/api/live');
+  assert.equal(refused.status, 503);
+  for (const c of streams) c.abort();
+});